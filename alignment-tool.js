@@ -0,0 +1,374 @@
+/**
+ * Alignment Tuning Tool
+ *
+ * Hand-corrects the SplatAlign transform of any capture in the viewer. Starts from the
+ * configured transform, nudges all six degrees of freedom (plus optional uniform scale)
+ * around a pivot at the camera, supports undo, and exports the result as a
+ * SplatAlign-compatible matrix_column_major_flat ready to paste back into config.
+ *
+ * Adjustments are made in viewer space (Y-up) and converted back to the capture's
+ * Z-up space on export.
+ */
+
+import * as pc from 'playcanvas';
+import { isValidTransform, buildSplatMatrix, zUpToYUpMatrix, applyMatrixToEntity } from './transform-utils.js';
+
+// Input action -> [adjustment field, direction] (keys are bound in input-map.js)
+const ADJUST_ACTIONS = {
+    'align.left': ['tx', -1], 'align.right': ['tx', 1],
+    'align.forward': ['tz', -1], 'align.back': ['tz', 1],
+    'align.down': ['ty', -1], 'align.up': ['ty', 1],
+    'align.yawLeft': ['yaw', -1], 'align.yawRight': ['yaw', 1],
+    'align.pitchDown': ['pitch', -1], 'align.pitchUp': ['pitch', 1],
+    'align.rollLeft': ['roll', -1], 'align.rollRight': ['roll', 1],
+    'align.scaleDown': ['scale', -1], 'align.scaleUp': ['scale', 1]
+};
+
+// Step sizes: [fine (Alt), normal, coarse (Shift)]
+const STEPS = {
+    translate: [0.01, 0.1, 0.5],   // meters
+    rotate: [0.1, 0.5, 2],         // degrees
+    scale: [0.001, 0.01, 0.05]     // factor
+};
+
+const MAX_UNDO = 100;
+
+export class AlignmentTool {
+    constructor(app, camera, timeToggleSystem, config) {
+        this.app = app;
+        this.camera = camera;
+        this.timeToggle = timeToggleSystem;
+        this.transforms = config.timeToggle.transforms || {};
+
+        this.active = false;
+        this.targetId = this._defaultTarget();
+
+        // Per-time adjustment state { timeId: { tx, ty, tz, yaw, pitch, roll, scale, pivot } }
+        this.adjustments = {};
+        this.undoStack = []; // [{ timeId, state }]
+
+        // UI
+        this.panel = null;
+        this.valuesEl = null;
+        this.outputEl = null;
+        this.helpEl = null;
+
+        this._createUI();
+
+        // A capture evicted by the memory budget comes back with only its configured
+        // transform; put the tuned preview back on it
+        this.timeToggle.on('load:complete', (timeId, entity) => {
+            if (this.adjustments[timeId]) {
+                applyMatrixToEntity(entity, this._worldMatrix(timeId));
+            }
+        });
+    }
+
+    /**
+     * First capture that has a transform (the reference usually has none)
+     */
+    _defaultTarget() {
+        const times = this.timeToggle.times;
+        const aligned = times.find(t => isValidTransform(this.transforms[t.id]));
+        return (aligned || times[times.length - 1]).id;
+    }
+
+    /**
+     * Create the alignment panel (hidden until the tool is toggled on)
+     */
+    _createUI() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'alignment-panel';
+        this.panel.style.cssText = `
+            position: fixed;
+            top: 80px;
+            right: 10px;
+            color: white;
+            font-size: 12px;
+            background: rgba(40, 20, 0, 0.85);
+            border: 1px solid rgba(255, 100, 0, 0.8);
+            backdrop-filter: blur(10px);
+            padding: 12px 15px;
+            border-radius: 8px;
+            z-index: 1001;
+            width: 260px;
+            display: none;
+            user-select: none;
+        `;
+
+        const title = document.createElement('strong');
+        title.textContent = '📐 Alignment';
+
+        this.valuesEl = document.createElement('div');
+        this.valuesEl.style.cssText = 'font-family: monospace; margin: 8px 0; line-height: 1.5; white-space: pre;';
+
+        const help = document.createElement('div');
+        this.helpEl = help;
+        help.style.cssText = 'opacity: 0.7; line-height: 1.5; margin-bottom: 8px;';
+        help.innerHTML = `
+            4/6 X · 8/2 Z · -/+ Y<br>
+            7/9 Yaw · 1/3 Pitch · / * Roll<br>
+            0/. Scale · 5 Reset<br>
+            Shift coarse · Alt fine<br>
+            Tab - Next capture · Ctrl+Z Undo<br>
+            Enter - Export matrix
+        `;
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; gap: 6px;';
+        [['Undo', () => this.undo()], ['Export', () => this.exportMatrix()]].forEach(([label, action]) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.style.cssText = `
+                background: rgba(255, 255, 255, 0.15);
+                border: 1px solid rgba(255, 255, 255, 0.3);
+                border-radius: 4px;
+                color: white;
+                font-size: 11px;
+                padding: 3px 10px;
+                cursor: pointer;
+            `;
+            btn.addEventListener('click', action);
+            buttons.appendChild(btn);
+        });
+
+        this.outputEl = document.createElement('textarea');
+        this.outputEl.readOnly = true;
+        this.outputEl.style.cssText = `
+            width: 100%;
+            height: 90px;
+            margin-top: 8px;
+            background: rgba(0, 0, 0, 0.5);
+            color: #0f0;
+            border: 1px solid rgba(255, 255, 255, 0.2);
+            font-family: monospace;
+            font-size: 10px;
+            display: none;
+            user-select: text;
+        `;
+
+        this.panel.appendChild(title);
+        this.panel.appendChild(this.valuesEl);
+        this.panel.appendChild(help);
+        this.panel.appendChild(buttons);
+        this.panel.appendChild(this.outputEl);
+        document.body.appendChild(this.panel);
+    }
+
+    /**
+     * Toggle alignment mode on/off
+     */
+    toggle() {
+        this.active = !this.active;
+        this.panel.style.display = this.active ? 'block' : 'none';
+
+        if (this.active) {
+            this._ensureState(this.targetId);
+            this._updatePanel();
+        }
+
+        console.log('Alignment mode:', this.active ? 'ON' : 'OFF');
+        return this.active;
+    }
+
+    /**
+     * Register the alignment-mode actions (active only while the tool is on)
+     * @param {InputMap} inputMap
+     */
+    bindInput(inputMap) {
+        inputMap.setContext('alignment', () => this.active);
+
+        Object.entries(ADJUST_ACTIONS).forEach(([action, [field, direction]]) => {
+            inputMap.on(action, (e) => {
+                const stepIndex = e.altKey ? 0 : e.shiftKey ? 2 : 1;
+                const steps = field === 'scale' ? STEPS.scale
+                    : ['yaw', 'pitch', 'roll'].includes(field) ? STEPS.rotate
+                        : STEPS.translate;
+                this.adjust(field, direction * steps[stepIndex]);
+            });
+        });
+
+        inputMap.on('align.next', () => this.selectNextTarget());
+        inputMap.on('align.undo', () => this.undo());
+        inputMap.on('align.export', () => this.exportMatrix());
+        inputMap.on('align.reset', () => this.reset());
+
+        // Show the keys actually bound
+        const keys = action => inputMap.keysFor(action)[0] || '—';
+        const pair = (a, b, label) => `${keys(a)}/${keys(b)} ${label}`;
+        this.helpEl.style.whiteSpace = 'pre-line';
+        this.helpEl.textContent = [
+            `${pair('align.left', 'align.right', 'X')} · ${pair('align.forward', 'align.back', 'Z')} · ${pair('align.down', 'align.up', 'Y')}`,
+            `${pair('align.yawLeft', 'align.yawRight', 'Yaw')} · ${pair('align.pitchDown', 'align.pitchUp', 'Pitch')}`,
+            `${pair('align.rollLeft', 'align.rollRight', 'Roll')} · ${pair('align.scaleDown', 'align.scaleUp', 'Scale')}`,
+            `${keys('align.reset')} Reset · Shift coarse · Alt fine`,
+            `${keys('align.next')} - Next capture · ${keys('align.undo')} Undo`,
+            `${keys('align.export')} - Export matrix`
+        ].join('\n');
+    }
+
+    /**
+     * Change one adjustment field of the target capture by delta
+     */
+    adjust(field, delta) {
+        const state = this._ensureState(this.targetId);
+        this._pushUndo();
+
+        if (field === 'scale') {
+            state.scale = Math.max(0.01, state.scale * (1 + delta));
+        } else {
+            state[field] += delta;
+        }
+
+        this._apply(this.targetId);
+        this._updatePanel();
+    }
+
+    /**
+     * Go back to the configured transform for the target capture
+     */
+    reset() {
+        this._pushUndo();
+        const pivot = this._ensureState(this.targetId).pivot;
+        this.adjustments[this.targetId] = this._emptyState(pivot);
+        this._apply(this.targetId);
+        this._updatePanel();
+    }
+
+    /**
+     * Undo the last adjustment (on whichever capture it was made)
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return;
+
+        this.adjustments[entry.timeId] = entry.state;
+        this.targetId = entry.timeId;
+        this._apply(entry.timeId);
+        this._updatePanel();
+    }
+
+    /**
+     * Cycle the capture being adjusted
+     */
+    selectNextTarget() {
+        const times = this.timeToggle.times;
+        const index = times.findIndex(t => t.id === this.targetId);
+        this.targetId = times[(index + 1) % times.length].id;
+        this._ensureState(this.targetId);
+        this._updatePanel();
+        console.log('Alignment target:', this.targetId);
+    }
+
+    /**
+     * Current SplatAlign matrix (column-major, Z-up) for a capture
+     * @returns {number[]}
+     */
+    getMatrix(timeId = this.targetId) {
+        // Entity world = Y-up rotation * alignment, so alignment = inverse(rotation) * world
+        const alignment = zUpToYUpMatrix().invert();
+        alignment.mul(this._worldMatrix(timeId));
+        return Array.from(alignment.data);
+    }
+
+    /**
+     * Export the target matrix as SplatAlign-style JSON (panel, clipboard, console)
+     */
+    async exportMatrix() {
+        const matrix = this.getMatrix().map(v => Number(v.toFixed(6)));
+        const state = this._ensureState(this.targetId);
+
+        const json = JSON.stringify({
+            time_id: this.targetId,
+            matrix_column_major_flat: matrix,
+            manual_adjustment: {
+                translation: [state.tx, state.ty, state.tz].map(v => Number(v.toFixed(4))),
+                rotation_deg: [state.pitch, state.yaw, state.roll].map(v => Number(v.toFixed(3))),
+                scale: Number(state.scale.toFixed(5))
+            }
+        }, null, 2);
+
+        this.outputEl.value = json;
+        this.outputEl.style.display = 'block';
+
+        try {
+            await navigator.clipboard.writeText(json);
+            console.log('Alignment matrix copied to clipboard');
+        } catch (err) {
+            console.warn('Could not copy alignment matrix to clipboard:', err);
+        }
+
+        console.log(`Alignment for ${this.targetId}:\n${json}`);
+        return json;
+    }
+
+    /**
+     * Get (or create) the adjustment state for a capture; the rotation pivot is the
+     * camera position when the capture is first adjusted
+     */
+    _ensureState(timeId) {
+        if (!this.adjustments[timeId]) {
+            this.adjustments[timeId] = this._emptyState(this.camera.getPosition().clone());
+        }
+        return this.adjustments[timeId];
+    }
+
+    _emptyState(pivot) {
+        return { tx: 0, ty: 0, tz: 0, yaw: 0, pitch: 0, roll: 0, scale: 1, pivot };
+    }
+
+    _pushUndo() {
+        const state = this._ensureState(this.targetId);
+        this.undoStack.push({ timeId: this.targetId, state: { ...state } });
+        if (this.undoStack.length > MAX_UNDO) this.undoStack.shift();
+    }
+
+    /**
+     * Entity world matrix: adjustment (about pivot) * configured splat matrix
+     */
+    _worldMatrix(timeId) {
+        const configured = this.transforms[timeId];
+        const base = isValidTransform(configured) ? buildSplatMatrix(configured) : zUpToYUpMatrix();
+
+        const state = this._ensureState(timeId);
+        const p = state.pivot;
+
+        // W(x) = R * S * (x - pivot) + pivot + t
+        const toPivot = new pc.Mat4().setTranslate(-p.x, -p.y, -p.z);
+        const rotation = new pc.Quat().setFromEulerAngles(state.pitch, state.yaw, state.roll);
+        const adjustment = new pc.Mat4().setTRS(
+            new pc.Vec3(p.x + state.tx, p.y + state.ty, p.z + state.tz),
+            rotation,
+            new pc.Vec3(state.scale, state.scale, state.scale)
+        );
+        adjustment.mul(toPivot);
+        adjustment.mul(base);
+        return adjustment;
+    }
+
+    /**
+     * Apply the adjusted transform to the capture's splat entity (if loaded)
+     */
+    _apply(timeId) {
+        const entity = this.timeToggle.splatEntities[timeId];
+        if (!entity) {
+            console.log(`Alignment: ${timeId} not loaded yet, switch to it to preview`);
+            return;
+        }
+        applyMatrixToEntity(entity, this._worldMatrix(timeId));
+    }
+
+    _updatePanel() {
+        if (!this.valuesEl) return;
+
+        const s = this._ensureState(this.targetId);
+        const time = this.timeToggle.times.find(t => t.id === this.targetId);
+        const loaded = this.timeToggle.splatEntities[this.targetId] ? '' : ' (not loaded)';
+
+        this.valuesEl.textContent =
+            `Target: ${time?.label || this.targetId}${loaded}\n` +
+            `Move   X ${s.tx.toFixed(3)}  Y ${s.ty.toFixed(3)}  Z ${s.tz.toFixed(3)}\n` +
+            `Rotate P ${s.pitch.toFixed(2)}° Y ${s.yaw.toFixed(2)}° R ${s.roll.toFixed(2)}°\n` +
+            `Scale  ${s.scale.toFixed(4)}   Undo: ${this.undoStack.length}`;
+    }
+}
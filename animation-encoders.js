@@ -0,0 +1,321 @@
+/**
+ * Animation Encoders
+ *
+ * Minimal animated GIF and animated WebP writers for the snapshot tool's blink exports,
+ * so no encoder library has to be bundled.
+ *
+ * GIF: one 256-colour palette shared by all frames (popularity over a 15-bit colour
+ * histogram) so unchanged areas don't shimmer between frames, LZW-compressed.
+ * WebP: the browser encodes each frame (canvas.toBlob 'image/webp'); the stills are then
+ * muxed into an animated RIFF container (VP8X + ANIM + one ANMF per frame).
+ */
+
+/**
+ * Encode frames as a looping animated GIF
+ * @param {ImageData[]} frames - Equal-sized frames
+ * @param {number} delay - Milliseconds per frame
+ * @returns {Uint8Array}
+ */
+export function encodeGif(frames, delay) {
+    const { width, height } = frames[0];
+    const { palette, lookup } = buildPalette(frames);
+
+    const out = new ByteWriter();
+    out.string('GIF89a');
+    out.u16(width);
+    out.u16(height);
+    out.byte(0xF7); // global colour table, 8 bits per channel, 256 entries
+    out.byte(0);    // background colour index
+    out.byte(0);    // pixel aspect ratio
+    out.bytes(palette);
+
+    // Loop forever (NETSCAPE2.0 application extension)
+    out.bytes([0x21, 0xFF, 0x0B]);
+    out.string('NETSCAPE2.0');
+    out.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+    const centiseconds = Math.max(2, Math.round(delay / 10));
+    frames.forEach((frame) => {
+        // Graphic control extension: frame delay, no transparency
+        out.bytes([0x21, 0xF9, 0x04, 0x00]);
+        out.u16(centiseconds);
+        out.bytes([0x00, 0x00]);
+
+        // Image descriptor covering the whole canvas, no local colour table
+        out.byte(0x2C);
+        out.u16(0);
+        out.u16(0);
+        out.u16(width);
+        out.u16(height);
+        out.byte(0);
+
+        const indices = new Uint8Array(width * height);
+        const data = frame.data;
+        for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+            indices[i] = lookup(((data[p] >> 3) << 10) | ((data[p + 1] >> 3) << 5) | (data[p + 2] >> 3));
+        }
+
+        out.byte(8); // LZW minimum code size
+        const compressed = lzwEncode(indices, 8);
+        for (let i = 0; i < compressed.length; i += 255) {
+            const block = compressed.subarray(i, i + 255);
+            out.byte(block.length);
+            out.bytes(block);
+        }
+        out.byte(0);
+    });
+
+    out.byte(0x3B);
+    return out.toUint8Array();
+}
+
+/**
+ * Shared palette: the 256 most common 15-bit colours (averaged), with a cached
+ * nearest-entry lookup for every 15-bit colour
+ */
+function buildPalette(frames) {
+    const counts = new Uint32Array(32768);
+    const sums = new Float64Array(32768 * 3);
+
+    frames.forEach(({ data }) => {
+        for (let p = 0; p < data.length; p += 4) {
+            const key = ((data[p] >> 3) << 10) | ((data[p + 1] >> 3) << 5) | (data[p + 2] >> 3);
+            counts[key]++;
+            sums[key * 3] += data[p];
+            sums[key * 3 + 1] += data[p + 1];
+            sums[key * 3 + 2] += data[p + 2];
+        }
+    });
+
+    const used = [];
+    for (let key = 0; key < 32768; key++) {
+        if (counts[key] > 0) used.push(key);
+    }
+    used.sort((a, b) => counts[b] - counts[a]);
+
+    const palette = new Uint8Array(256 * 3);
+    const entries = Math.min(256, used.length);
+    for (let i = 0; i < entries; i++) {
+        const key = used[i];
+        palette[i * 3] = Math.round(sums[key * 3] / counts[key]);
+        palette[i * 3 + 1] = Math.round(sums[key * 3 + 1] / counts[key]);
+        palette[i * 3 + 2] = Math.round(sums[key * 3 + 2] / counts[key]);
+    }
+
+    const cache = new Int16Array(32768).fill(-1);
+    const lookup = (key) => {
+        if (cache[key] >= 0) return cache[key];
+
+        const r = ((key >> 10) << 3) + 4;
+        const g = (((key >> 5) & 31) << 3) + 4;
+        const b = ((key & 31) << 3) + 4;
+        let best = 0;
+        let bestDist = Infinity;
+        for (let i = 0; i < entries; i++) {
+            const dr = palette[i * 3] - r;
+            const dg = palette[i * 3 + 1] - g;
+            const db = palette[i * 3 + 2] - b;
+            const dist = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = i;
+            }
+        }
+        cache[key] = best;
+        return best;
+    };
+
+    return { palette, lookup };
+}
+
+/**
+ * GIF-flavoured LZW (variable code size up to 12 bits, clear code when the table fills)
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = new ByteWriter();
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let bits = 0;
+    let bitCount = 0;
+
+    const emit = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            out.byte(bits & 0xFF);
+            bits >>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) out.byte(bits & 0xFF);
+
+    return out.toUint8Array();
+}
+
+/**
+ * Mux still WebP images into a looping animated WebP
+ * @param {ArrayBuffer[]} stills - WebP files from canvas.toBlob(..., 'image/webp'), all width x height
+ * @param {number} width
+ * @param {number} height
+ * @param {number} delay - Milliseconds per frame
+ * @returns {Uint8Array}
+ */
+export function encodeAnimatedWebP(stills, width, height, delay) {
+    const chunks = [];
+    let hasAlpha = false;
+
+    const frames = stills.map((buffer) => {
+        // Keep the bitstream chunks of each still; its own VP8X header is replaced
+        const frameChunks = readRiffChunks(new Uint8Array(buffer))
+            .filter(chunk => ['ALPH', 'VP8 ', 'VP8L'].includes(chunk.id));
+        if (frameChunks.some(chunk => chunk.id === 'ALPH' || chunk.id === 'VP8L')) hasAlpha = true;
+
+        const header = new ByteWriter();
+        header.u24(0); // x offset / 2
+        header.u24(0); // y offset / 2
+        header.u24(width - 1);
+        header.u24(height - 1);
+        header.u24(Math.round(delay));
+        header.byte(0x02); // don't blend, don't dispose
+
+        return concat([header.toUint8Array(), ...frameChunks.map(chunk => riffChunk(chunk.id, chunk.data))]);
+    });
+
+    const vp8x = new ByteWriter();
+    vp8x.byte(0x02 | (hasAlpha ? 0x10 : 0)); // animation (+ alpha)
+    vp8x.u24(0);
+    vp8x.u24(width - 1);
+    vp8x.u24(height - 1);
+    chunks.push(riffChunk('VP8X', vp8x.toUint8Array()));
+
+    const anim = new ByteWriter();
+    anim.bytes([0, 0, 0, 0]); // background colour
+    anim.u16(0);              // loop forever
+    chunks.push(riffChunk('ANIM', anim.toUint8Array()));
+
+    frames.forEach(frame => chunks.push(riffChunk('ANMF', frame)));
+
+    const body = concat(chunks);
+    const file = new ByteWriter();
+    file.string('RIFF');
+    file.u32(body.length + 4);
+    file.string('WEBP');
+    file.bytes(body);
+    return file.toUint8Array();
+}
+
+function readRiffChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 12; // 'RIFF' size 'WEBP'
+    while (offset + 8 <= bytes.length) {
+        const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        const size = view.getUint32(offset + 4, true);
+        chunks.push({ id, data: bytes.subarray(offset + 8, offset + 8 + size) });
+        offset += 8 + size + (size & 1);
+    }
+    return chunks;
+}
+
+function riffChunk(id, data) {
+    const chunk = new ByteWriter();
+    chunk.string(id);
+    chunk.u32(data.length);
+    chunk.bytes(data);
+    if (data.length & 1) chunk.byte(0);
+    return chunk.toUint8Array();
+}
+
+function concat(arrays) {
+    const total = arrays.reduce((sum, a) => sum + a.length, 0);
+    const result = new Uint8Array(total);
+    let offset = 0;
+    arrays.forEach((a) => {
+        result.set(a, offset);
+        offset += a.length;
+    });
+    return result;
+}
+
+/**
+ * Growable little-endian byte buffer
+ */
+class ByteWriter {
+    constructor() {
+        this.buffer = new Uint8Array(1024);
+        this.length = 0;
+    }
+
+    _reserve(count) {
+        if (this.length + count <= this.buffer.length) return;
+        let size = this.buffer.length * 2;
+        while (size < this.length + count) size *= 2;
+        const grown = new Uint8Array(size);
+        grown.set(this.buffer.subarray(0, this.length));
+        this.buffer = grown;
+    }
+
+    byte(value) {
+        this._reserve(1);
+        this.buffer[this.length++] = value;
+    }
+
+    bytes(values) {
+        this._reserve(values.length);
+        this.buffer.set(values, this.length);
+        this.length += values.length;
+    }
+
+    string(text) {
+        for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+    }
+
+    u16(value) {
+        this.byte(value & 0xFF);
+        this.byte((value >> 8) & 0xFF);
+    }
+
+    u24(value) {
+        this.u16(value & 0xFFFF);
+        this.byte((value >> 16) & 0xFF);
+    }
+
+    u32(value) {
+        this.u16(value & 0xFFFF);
+        this.u16((value >>> 16) & 0xFFFF);
+    }
+
+    toUint8Array() {
+        return this.buffer.subarray(0, this.length);
+    }
+}
@@ -0,0 +1,548 @@
+/**
+ * Annotation System
+ *
+ * World-anchored hotspots that describe what changed between captures. Each annotation is
+ * a 3D point with a title, text and optional image; any field can be overridden per time
+ * id, so one hotspot can read "Roof intact" in one capture and "Roof collapsed" in another.
+ * Markers are projected to the screen every frame (hidden when behind the camera or far
+ * away); clicking one opens a detail card that follows time switches.
+ *
+ * In debug mode, I places a new annotation at the camera position and the card becomes an
+ * editor; Save exports annotations.json (download + clipboard).
+ *
+ * Annotations JSON:
+ *   { "annotations": [
+ *       { "id": "roof", "position": { "x": 0, "y": 3, "z": -2 },
+ *         "title": "Roof", "text": "Shared text", "image": "./img/roof.jpg",
+ *         "times": { "secondary": { "text": "Roof collapsed" }, "primary": { "hidden": true } } }
+ *   ] }
+ */
+
+import * as pc from 'playcanvas';
+
+const CONTENT_FIELDS = ['title', 'text', 'image'];
+
+export class AnnotationSystem {
+    constructor(app, camera, timeToggleSystem, config) {
+        this.app = app;
+        this.camera = camera;
+        this.timeToggle = timeToggleSystem;
+        this.config = config.annotations || {};
+        this.debug = !!config.debug;
+
+        this.maxDistance = this.config.maxDistance ?? 30; // meters, markers further away are hidden
+
+        this.annotations = [];  // [{ def, marker }]
+        this.selected = null;
+        this.editing = false;
+
+        // UI elements
+        this.card = null;
+        this.cardTitle = null;
+        this.cardTime = null;
+        this.cardImage = null;
+        this.cardText = null;
+        this.editor = null;
+
+        // Reusable vectors (update runs every frame)
+        this._toMarker = new pc.Vec3();
+        this._screenPos = new pc.Vec3();
+
+        this._createUI();
+
+        this.app.on('update', () => this.update());
+
+        // Per-time content follows the visible capture
+        if (this.timeToggle) {
+            this.timeToggle.on('switch:end', () => {
+                this.annotations.forEach(annotation => this._refreshMarker(annotation));
+                if (this.selected) this._refreshCard();
+            });
+        }
+    }
+
+    /**
+     * Load annotations from a JSON file (a missing file just means no annotations)
+     */
+    async load(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                console.log(`No annotations at ${url}`);
+                return;
+            }
+            const data = await response.json();
+            this.setAnnotations(data.annotations || []);
+            console.log(`Loaded ${this.annotations.length} annotations from ${url}`);
+        } catch (err) {
+            console.warn('Could not load annotations:', err);
+        }
+    }
+
+    /**
+     * Replace all annotations
+     * @param {Array} defs - Annotation definitions (see file header)
+     */
+    setAnnotations(defs) {
+        this.closeCard();
+        this.annotations.forEach(annotation => annotation.marker.remove());
+        this.annotations = [];
+
+        defs.forEach((def) => {
+            if (!def.position) {
+                console.warn('Annotation is missing a position:', def);
+                return;
+            }
+            this._addAnnotation(def);
+        });
+    }
+
+    /**
+     * Create the marker element for one annotation definition
+     */
+    _addAnnotation(def) {
+        if (!def.id) def.id = this._nextId();
+
+        const marker = document.createElement('div');
+        marker.className = 'annotation-marker';
+        marker.style.cssText = `
+            position: fixed;
+            transform: translate(-50%, -50%);
+            min-width: 22px;
+            height: 22px;
+            border-radius: 11px;
+            background: rgba(74, 144, 217, 0.9);
+            border: 2px solid white;
+            box-shadow: 0 0 6px rgba(0, 0, 0, 0.6);
+            color: white;
+            font-size: 12px;
+            font-weight: bold;
+            line-height: 22px;
+            text-align: center;
+            padding: 0 4px;
+            box-sizing: content-box;
+            cursor: pointer;
+            z-index: 100;
+            display: none;
+        `;
+
+        const annotation = { def, marker, position: new pc.Vec3(def.position.x, def.position.y, def.position.z) };
+
+        marker.addEventListener('mousedown', e => e.stopPropagation());
+        marker.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.selected === annotation) {
+                this.closeCard();
+            } else {
+                this.openCard(annotation);
+            }
+        });
+
+        document.body.appendChild(marker);
+        this.annotations.push(annotation);
+        this._refreshMarker(annotation);
+        return annotation;
+    }
+
+    _nextId() {
+        let index = this.annotations.length + 1;
+        while (this.annotations.some(annotation => annotation.def.id === `annotation_${index}`)) index++;
+        return `annotation_${index}`;
+    }
+
+    /**
+     * Content of an annotation for a time: shared fields overridden by the time's entry
+     * @returns {Object|null} { title, text, image }, or null when hidden for that time
+     */
+    getContent(def, timeId) {
+        const override = (def.times && def.times[timeId]) || {};
+        if (override.hidden) return null;
+
+        const content = {};
+        CONTENT_FIELDS.forEach((field) => {
+            content[field] = override[field] ?? def[field] ?? '';
+        });
+        return content;
+    }
+
+    _activeTimeId() {
+        return this.timeToggle ? this.timeToggle.activeTimeId : null;
+    }
+
+    /**
+     * Update marker tooltip and visibility for the active time
+     */
+    _refreshMarker(annotation) {
+        const content = this.getContent(annotation.def, this._activeTimeId());
+        annotation.hidden = !content;
+        annotation.marker.textContent = String(this.annotations.indexOf(annotation) + 1);
+        annotation.marker.title = content ? content.title : '';
+    }
+
+    /**
+     * Position markers over their world points
+     */
+    update() {
+        if (this.annotations.length === 0) return;
+
+        const camPos = this.camera.getPosition();
+        const forward = this.camera.forward;
+        const cam = this.camera.camera;
+
+        this.annotations.forEach((annotation) => {
+            const { marker } = annotation;
+
+            // Hidden for this time (unless being edited), far away or behind the camera
+            this._toMarker.sub2(annotation.position, camPos);
+            const distance = this._toMarker.length();
+            if ((annotation.hidden && !(this.editing && this.selected === annotation)) ||
+                distance > this.maxDistance || this._toMarker.dot(forward) <= 0) {
+                marker.style.display = 'none';
+                return;
+            }
+
+            cam.worldToScreen(annotation.position, this._screenPos);
+            marker.style.display = 'block';
+            marker.style.left = `${this._screenPos.x}px`;
+            marker.style.top = `${this._screenPos.y}px`;
+            marker.style.background = this.selected === annotation
+                ? 'rgba(217, 144, 74, 0.95)'
+                : 'rgba(74, 144, 217, 0.9)';
+        });
+    }
+
+    /**
+     * Create the detail card (and, in debug mode, its editor)
+     */
+    _createUI() {
+        const styles = document.createElement('style');
+        styles.textContent = `
+            body.immersive-mode .annotation-marker,
+            body.immersive-mode #annotation-card {
+                opacity: 0;
+                pointer-events: none;
+            }
+        `;
+        document.head.appendChild(styles);
+
+        this.card = document.createElement('div');
+        this.card.id = 'annotation-card';
+        this.card.style.cssText = `
+            position: fixed;
+            top: 80px;
+            left: 10px;
+            width: 280px;
+            max-height: calc(100vh - 180px);
+            overflow-y: auto;
+            color: white;
+            font-size: 13px;
+            background: rgba(0, 0, 0, 0.8);
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            backdrop-filter: blur(10px);
+            padding: 12px 15px;
+            border-radius: 8px;
+            z-index: 1001;
+            display: none;
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: flex-start; gap: 8px;';
+
+        this.cardTitle = document.createElement('strong');
+        this.cardTitle.style.cssText = 'flex: 1; font-size: 15px;';
+
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = '✕';
+        closeBtn.title = 'Close';
+        closeBtn.style.cssText = `
+            background: none;
+            border: none;
+            color: white;
+            font-size: 14px;
+            cursor: pointer;
+            padding: 0;
+        `;
+        closeBtn.addEventListener('click', () => this.closeCard());
+
+        header.appendChild(this.cardTitle);
+        header.appendChild(closeBtn);
+
+        this.cardTime = document.createElement('div');
+        this.cardTime.style.cssText = 'margin: 2px 0 8px; font-size: 11px; color: rgba(255, 255, 255, 0.6);';
+
+        this.cardImage = document.createElement('img');
+        this.cardImage.style.cssText = 'width: 100%; border-radius: 4px; margin-bottom: 8px; display: none;';
+
+        this.cardText = document.createElement('div');
+        this.cardText.style.cssText = 'white-space: pre-wrap; line-height: 1.4;';
+
+        this.card.appendChild(header);
+        this.card.appendChild(this.cardTime);
+        this.card.appendChild(this.cardImage);
+        this.card.appendChild(this.cardText);
+
+        if (this.debug) {
+            this._createEditor();
+        }
+
+        // Keep clicks on the card from starting a mouse look drag
+        this.card.addEventListener('mousedown', e => e.stopPropagation());
+        document.body.appendChild(this.card);
+    }
+
+    /**
+     * Debug-only fields for editing the selected annotation
+     */
+    _createEditor() {
+        this.editor = document.createElement('div');
+        this.editor.style.cssText = `
+            margin-top: 10px;
+            padding-top: 10px;
+            border-top: 1px solid rgba(255, 255, 255, 0.2);
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+            font-size: 11px;
+        `;
+
+        const inputStyle = `
+            width: 100%;
+            box-sizing: border-box;
+            background: rgba(0, 0, 0, 0.5);
+            color: white;
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            font-size: 11px;
+            padding: 3px 5px;
+        `;
+
+        // Edit the shared content or the active time's override
+        this.scopeSelect = document.createElement('select');
+        this.scopeSelect.style.cssText = inputStyle;
+        this.scopeSelect.addEventListener('change', () => this._fillEditor());
+
+        this.fieldInputs = {};
+        CONTENT_FIELDS.forEach((field) => {
+            const input = document.createElement(field === 'text' ? 'textarea' : 'input');
+            if (field === 'text') input.rows = 3;
+            input.placeholder = field === 'image' ? 'Image URL (optional)' : field[0].toUpperCase() + field.slice(1);
+            input.style.cssText = inputStyle;
+            // Typing must not move the camera or trigger shortcuts
+            input.addEventListener('keydown', e => e.stopPropagation());
+            input.addEventListener('input', () => this._applyEdit(field, input.value));
+            this.fieldInputs[field] = input;
+        });
+
+        this.hiddenCheckbox = document.createElement('input');
+        this.hiddenCheckbox.type = 'checkbox';
+        this.hiddenCheckbox.addEventListener('change', () => this._applyEdit('hidden', this.hiddenCheckbox.checked));
+        this.hiddenLabel = document.createElement('label');
+        this.hiddenLabel.style.cssText = 'display: flex; align-items: center; gap: 6px; cursor: pointer;';
+        this.hiddenLabel.appendChild(this.hiddenCheckbox);
+        this.hiddenLabel.appendChild(document.createTextNode('Hide in this time'));
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; flex-wrap: wrap; gap: 6px;';
+        const addButton = (label, action) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.style.cssText = `
+                background: rgba(255, 255, 255, 0.15);
+                border: 1px solid rgba(255, 255, 255, 0.3);
+                border-radius: 4px;
+                color: white;
+                font-size: 11px;
+                padding: 3px 8px;
+                cursor: pointer;
+            `;
+            btn.addEventListener('click', action);
+            buttons.appendChild(btn);
+        };
+        addButton('Move here', () => this.moveSelectedToCamera());
+        addButton('Delete', () => this.deleteSelected());
+        addButton('Save JSON', () => this.saveAnnotations());
+
+        this.editor.appendChild(this.scopeSelect);
+        Object.values(this.fieldInputs).forEach(input => this.editor.appendChild(input));
+        this.editor.appendChild(this.hiddenLabel);
+        this.editor.appendChild(buttons);
+        this.card.appendChild(this.editor);
+    }
+
+    /**
+     * Open the detail card for an annotation
+     */
+    openCard(annotation) {
+        this.selected = annotation;
+        this.editing = this.debug;
+        this._refreshCard();
+        this.card.style.display = 'block';
+    }
+
+    closeCard() {
+        this.selected = null;
+        this.editing = false;
+        if (this.card) this.card.style.display = 'none';
+    }
+
+    /**
+     * Show the selected annotation's content for the active time
+     */
+    _refreshCard() {
+        const { def } = this.selected;
+        const timeId = this._activeTimeId();
+        const content = this.getContent(def, timeId);
+
+        // Hidden for this time: outside debug mode there's nothing to show
+        if (!content && !this.editing) {
+            this.closeCard();
+            return;
+        }
+
+        const shown = content || this.getContent({ ...def, times: null }, timeId);
+        this.cardTitle.textContent = shown.title || def.id;
+        this.cardText.textContent = shown.text;
+
+        const time = this.timeToggle && this.timeToggle.times.find(t => t.id === timeId);
+        this.cardTime.textContent = time ? `${time.label || timeId}${content ? '' : ' (hidden)'}` : '';
+
+        if (shown.image) {
+            this.cardImage.src = shown.image;
+            this.cardImage.style.display = 'block';
+        } else {
+            this.cardImage.removeAttribute('src');
+            this.cardImage.style.display = 'none';
+        }
+
+        if (this.editor) {
+            this._fillEditor();
+        }
+    }
+
+    /**
+     * Populate the editor scope list and fields
+     */
+    _fillEditor() {
+        const { def } = this.selected;
+        const timeId = this._activeTimeId();
+        const previous = this.scopeSelect.value;
+
+        this.scopeSelect.innerHTML = '';
+        const shared = document.createElement('option');
+        shared.value = '';
+        shared.textContent = 'All times';
+        this.scopeSelect.appendChild(shared);
+        if (timeId) {
+            const option = document.createElement('option');
+            option.value = timeId;
+            option.textContent = `Only ${timeId}`;
+            this.scopeSelect.appendChild(option);
+        }
+        this.scopeSelect.value = previous === timeId ? timeId : '';
+
+        const scope = this.scopeSelect.value;
+        const source = scope ? (def.times && def.times[scope]) || {} : def;
+        CONTENT_FIELDS.forEach((field) => {
+            this.fieldInputs[field].value = source[field] || '';
+        });
+
+        this.hiddenLabel.style.display = scope ? 'flex' : 'none';
+        this.hiddenCheckbox.checked = !!source.hidden;
+    }
+
+    /**
+     * Write an edited field to the shared content or the active time's override
+     */
+    _applyEdit(field, value) {
+        if (!this.selected) return;
+        const { def } = this.selected;
+        const scope = this.scopeSelect.value;
+
+        let target = def;
+        if (scope) {
+            def.times = def.times || {};
+            target = def.times[scope] = def.times[scope] || {};
+        }
+
+        if (value === '' || value === false) {
+            delete target[field];
+            if (scope && Object.keys(target).length === 0) delete def.times[scope];
+            if (def.times && Object.keys(def.times).length === 0) delete def.times;
+        } else {
+            target[field] = value;
+        }
+
+        this._refreshMarker(this.selected);
+
+        // Keep the editor fields as typed; only update the read-only part of the card
+        const content = this.getContent(def, this._activeTimeId()) || this.getContent({ ...def, times: null });
+        this.cardTitle.textContent = content.title || def.id;
+        this.cardText.textContent = content.text;
+    }
+
+    /**
+     * Add an annotation at the camera position and open it for editing (I key, debug mode)
+     */
+    placeAtCamera() {
+        const pos = this.camera.getPosition();
+        const annotation = this._addAnnotation({
+            id: this._nextId(),
+            position: { x: pos.x, y: pos.y, z: pos.z },
+            title: '',
+            text: ''
+        });
+        this.openCard(annotation);
+        console.log(`Placed annotation ${annotation.def.id} at (${pos.x.toFixed(2)}, ${pos.y.toFixed(2)}, ${pos.z.toFixed(2)})`);
+    }
+
+    /**
+     * Move the selected annotation to the camera position
+     */
+    moveSelectedToCamera() {
+        if (!this.selected) return;
+        const pos = this.camera.getPosition();
+        this.selected.def.position = { x: pos.x, y: pos.y, z: pos.z };
+        this.selected.position.copy(pos);
+    }
+
+    deleteSelected() {
+        if (!this.selected) return;
+        const annotation = this.selected;
+        this.closeCard();
+
+        annotation.marker.remove();
+        this.annotations.splice(this.annotations.indexOf(annotation), 1);
+        this.annotations.forEach(a => this._refreshMarker(a));
+        console.log(`Deleted annotation ${annotation.def.id}`);
+    }
+
+    /**
+     * Export annotations as annotations.json (download + clipboard)
+     */
+    async saveAnnotations() {
+        const round = value => Math.round(value * 1000) / 1000;
+        const data = {
+            annotations: this.annotations.map(({ def }) => ({
+                ...def,
+                position: { x: round(def.position.x), y: round(def.position.y), z: round(def.position.z) }
+            }))
+        };
+        const json = JSON.stringify(data, null, 2);
+
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'annotations.json';
+        link.click();
+        URL.revokeObjectURL(url);
+
+        try {
+            await navigator.clipboard.writeText(json);
+            console.log('Annotations copied to clipboard');
+        } catch (err) {
+            console.warn('Could not copy annotations to clipboard:', err);
+        }
+
+        console.log(`Saved ${this.annotations.length} annotations to annotations.json`);
+    }
+}
@@ -1,57 +1,177 @@
 /**
  * Collision System for PlayCanvas
  * Uses physics-based collision detection with invisible collision mesh
+ *
+ * Supports one collision mesh per time state (geometry changes between captures)
+ * plus a shared fallback mesh. Only the active mesh is enabled in the physics world.
  */
 
 import * as pc from 'playcanvas';
+import { isValidTransform, buildColliderMatrix, applyMatrixToEntity } from './transform-utils.js';
+
+// Key for the mesh used by time states without their own collision mesh
+export const SHARED_COLLISION_KEY = 'shared';
 
 export class CollisionSystem {
     constructor(app, camera) {
         this.app = app;
         this.camera = camera;
-        this.collisionMesh = null;
+        this.collisionMesh = null; // Active collision model (shared or per-time)
         this.collisionEnabled = false; // Start disabled, enable after mesh loads
         this.debugVisible = false;
         this.physicsReady = false; // Track if physics system is working
 
+        // Collision meshes by key (time id or SHARED_COLLISION_KEY)
+        this.meshes = {};          // { key: { url, transform, model, loading } }
+        this.activeKey = SHARED_COLLISION_KEY;
+
         // Camera collision sphere settings
         this.collisionRadius = 0.3; // 30cm radius around camera
 
         // Reusable Vec3 to avoid GC pressure (checkCollision called 60+ times/sec)
         this._direction = new pc.Vec3();
+        this._groundEnd = new pc.Vec3();
     }
 
     /**
      * Load collision mesh from GLB file
+     * @param {string} url - GLB file
+     * @param {string} key - Time id the mesh belongs to, or SHARED_COLLISION_KEY
+     * @param {number[]|null} transform - Optional SplatAlign matrix for the mesh
      */
-    loadCollisionMesh(url) {
-        const collisionAsset = new pc.Asset('collision_mesh', 'container', {
+    loadCollisionMesh(url, key = SHARED_COLLISION_KEY, transform = null) {
+        this.meshes[key] = { url, transform, model: null, loading: true };
+
+        const collisionAsset = new pc.Asset(`collision_mesh_${key}`, 'container', {
             url: url
         });
 
         this.app.assets.add(collisionAsset);
 
         collisionAsset.ready(() => {
-            this._setupCollisionMesh(collisionAsset);
+            this._setupCollisionMesh(collisionAsset, key);
         });
 
         collisionAsset.on('error', (err) => {
-            console.error('Error loading collision mesh:', err);
+            console.error(`Error loading collision mesh (${key}):`, err);
+            this.meshes[key].loading = false;
         });
 
         this.app.assets.load(collisionAsset);
     }
 
+    /**
+     * Register collision meshes declared on time states (loaded when first needed)
+     * @param {Object[]} times - config.timeToggle.times
+     * @param {Object} transforms - config.timeToggle.transforms (splat alignment per time)
+     */
+    registerTimeMeshes(times, transforms = {}) {
+        times.forEach((time) => {
+            if (!time.collisionMesh) return;
+
+            // Meshes decimated from an unaligned capture need that capture's alignment;
+            // set collisionTransform: null for meshes exported already aligned
+            const transform = time.collisionTransform !== undefined
+                ? time.collisionTransform
+                : transforms[time.id];
+
+            this.meshes[time.id] = { url: time.collisionMesh, transform, model: null, loading: false };
+        });
+    }
+
+    /**
+     * Switch colliders to the given time state (falls back to the shared mesh)
+     */
+    setActiveTime(timeId) {
+        const key = this.meshes[timeId] ? timeId : SHARED_COLLISION_KEY;
+        this.activeKey = key;
+
+        const entry = this.meshes[key];
+        if (entry && !entry.model && !entry.loading) {
+            this.loadCollisionMesh(entry.url, key, entry.transform);
+        }
+
+        // Only the active model takes part in physics
+        Object.entries(this.meshes).forEach(([meshKey, mesh]) => {
+            if (mesh.model) mesh.model.enabled = meshKey === key;
+        });
+
+        this.collisionMesh = entry && entry.model ? entry.model : null;
+        console.log(`Collision mesh: ${key}${this.collisionMesh ? '' : ' (loading)'}`);
+    }
+
+    /**
+     * Key of the collision mesh a time state uses (its own mesh, else the shared one)
+     */
+    getMeshKey(timeId) {
+        return this.meshes[timeId] ? timeId : SHARED_COLLISION_KEY;
+    }
+
+    /**
+     * Start loading a registered mesh that hasn't been loaded yet
+     * @returns {boolean} - true if the mesh is ready for raycasts
+     */
+    ensureMeshLoaded(key) {
+        const entry = this.meshes[key];
+        if (!entry) return false;
+        if (!entry.model && !entry.loading) {
+            this.loadCollisionMesh(entry.url, key, entry.transform);
+        }
+        return !!entry.model;
+    }
+
+    /**
+     * First hit of a ray segment against a collision mesh, regardless of whether
+     * movement collision is toggled on. A mesh other than the active one is swapped
+     * into the physics world just for the query.
+     * @param {pc.Vec3} start
+     * @param {pc.Vec3} end
+     * @param {string} key - Mesh key (defaults to the active mesh)
+     * @returns {{ point: pc.Vec3, normal: pc.Vec3 }|null}
+     */
+    raycast(start, end, key = this.activeKey) {
+        const entry = this.meshes[key];
+        if (!this.physicsReady || !entry || !entry.model) return null;
+
+        const active = this.meshes[this.activeKey];
+        const swap = key !== this.activeKey;
+        if (swap) {
+            if (active && active.model) active.model.enabled = false;
+            entry.model.enabled = true;
+        }
+
+        let hit = null;
+        try {
+            const result = this.app.systems.rigidbody.raycastFirst(start, end);
+            if (result && result.entity) {
+                hit = { point: result.point.clone(), normal: result.normal.clone() };
+            }
+        } catch (err) {
+            console.error('Raycast error:', err);
+        }
+
+        if (swap) {
+            entry.model.enabled = false;
+            if (active && active.model) active.model.enabled = true;
+        }
+        return hit;
+    }
+
     /**
      * Setup collision mesh with physics components
      */
-    _setupCollisionMesh(asset) {
+    _setupCollisionMesh(asset, key = SHARED_COLLISION_KEY) {
         const resource = asset.resource;
         const model = resource.instantiateRenderEntity();
-
-        // GLB collision mesh aligned at 0° rotation (matches splat at -90°)
-        model.setEulerAngles(0, 0, 0);
-
+        const entry = this.meshes[key];
+
+        if (isValidTransform(entry.transform)) {
+            // Align the mesh the same way as its capture's splat
+            applyMatrixToEntity(model, buildColliderMatrix(entry.transform));
+        } else {
+            // GLB collision mesh aligned at 0° rotation (matches splat at -90°)
+            model.setEulerAngles(0, 0, 0);
+        }
 
         // Find all render components and add collision
         let colliderCount = 0;
@@ -91,13 +211,22 @@ export class CollisionSystem {
                     mi.material = material;
                 });
 
-                // Start invisible
-                entity.render.enabled = false;
+                // Match current debug visibility
+                entity.render.enabled = this.debugVisible;
             }
         });
 
         this.app.root.addChild(model);
-        this.collisionMesh = model;
+        entry.model = model;
+        entry.loading = false;
+
+        // Inactive time meshes stay out of the physics world until switched to
+        if (key === this.activeKey) {
+            this.collisionMesh = model;
+        } else {
+            model.enabled = false;
+        }
+        console.log(`Collision mesh loaded (${key}): ${colliderCount} colliders`);
 
         // Ammo is already initialized by main.js - just test if physics is ready
         // Give it a moment for PlayCanvas to set up the physics system
@@ -186,6 +315,28 @@ export class CollisionSystem {
         return false;
     }
 
+    /**
+     * Height of the first surface straight below a point on the active mesh
+     * (walk mode ground following)
+     * @param {pc.Vec3} position - Ray start, usually the camera
+     * @param {number} depth - How far down to look
+     * @returns {number|null} - Ground y, or null with collision off / nothing below
+     */
+    findGround(position, depth) {
+        if (!this.collisionEnabled || !this.collisionMesh || !this.physicsReady) {
+            return null;
+        }
+
+        this._groundEnd.set(position.x, position.y - depth, position.z);
+        try {
+            const result = this.app.systems.rigidbody.raycastFirst(position, this._groundEnd);
+            return result && result.entity ? result.point.y : null;
+        } catch (err) {
+            console.error('Raycast error:', err);
+            return null;
+        }
+    }
+
     /**
      * Toggle collision mesh visibility for debugging
      */
@@ -194,10 +345,13 @@ export class CollisionSystem {
 
         this.debugVisible = !this.debugVisible;
 
-        this.collisionMesh.findComponents('render').forEach((renderComp) => {
-            if (renderComp.entity && renderComp.entity.render) {
-                renderComp.entity.render.enabled = this.debugVisible;
-            }
+        Object.values(this.meshes).forEach((mesh) => {
+            if (!mesh.model) return;
+            mesh.model.findComponents('render').forEach((renderComp) => {
+                if (renderComp.entity && renderComp.entity.render) {
+                    renderComp.entity.render.enabled = this.debugVisible;
+                }
+            });
         });
 
     }
@@ -216,7 +370,8 @@ export class CollisionSystem {
         return {
             enabled: this.collisionEnabled,
             visible: this.debugVisible,
-            loaded: this.collisionMesh !== null
+            loaded: this.collisionMesh !== null,
+            activeMesh: this.activeKey
         };
     }
 }
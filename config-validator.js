@@ -0,0 +1,351 @@
+/**
+ * Config Validation
+ *
+ * Checks the merged config (config.js + scene manifest) before the viewer starts, so
+ * mistakes show up as a readable list on the loading screen instead of failing silently
+ * (ignored transforms, undefined entities, errors deep inside loadTimeState).
+ */
+
+import { EASING } from './time-toggle-system.js';
+import { ACTIONS, isValidKey, resolveBindings, findConflicts, formatKey } from './input-map.js';
+import { BUTTON_NAMES } from './gamepad-input.js';
+import { isHttpUrl } from './scene-manifest.js';
+
+const UI_MODES = ['auto', 'compact', 'timeline'];
+
+/**
+ * Validate config
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function validateConfig(config) {
+    const errors = [];
+    const warnings = [];
+
+    validateVec3(config.startPosition, 'startPosition', errors);
+    validateVec3(config.startRotation, 'startRotation', errors);
+    validateLod(config.lod, errors);
+
+    if (config.tour && config.tour.speed !== undefined && !(Number.isFinite(config.tour.speed) && config.tour.speed > 0)) {
+        errors.push('tour.speed must be a positive number');
+    }
+
+    if (config.annotations && config.annotations.maxDistance !== undefined &&
+        !(Number.isFinite(config.annotations.maxDistance) && config.annotations.maxDistance > 0)) {
+        errors.push('annotations.maxDistance must be a positive number');
+    }
+
+    if (config.measure) {
+        ['planeDepth', 'maxDistance'].forEach((key) => {
+            const value = config.measure[key];
+            if (value !== undefined && !(Number.isFinite(value) && value > 0)) {
+                errors.push(`measure.${key} must be a positive number`);
+            }
+        });
+    }
+
+    if (config.walk) {
+        ['eyeHeight', 'maxEyeHeight', 'gravity'].forEach((key) => {
+            const value = config.walk[key];
+            if (value !== undefined && !(Number.isFinite(value) && value > 0)) {
+                errors.push(`walk.${key} must be a positive number`);
+            }
+        });
+        const step = config.walk.maxStepHeight;
+        if (step !== undefined && !(Number.isFinite(step) && step >= 0)) {
+            errors.push('walk.maxStepHeight must be a number >= 0');
+        }
+        if (Number.isFinite(config.walk.eyeHeight) && Number.isFinite(config.walk.maxEyeHeight) &&
+            config.walk.eyeHeight > config.walk.maxEyeHeight) {
+            warnings.push(`walk.eyeHeight (${config.walk.eyeHeight}) is above walk.maxEyeHeight (${config.walk.maxEyeHeight}); it will be capped`);
+        }
+    }
+
+    if (config.mouseLook && config.mouseLook.sensitivity !== undefined &&
+        !(Number.isFinite(config.mouseLook.sensitivity) && config.mouseLook.sensitivity > 0)) {
+        errors.push('mouseLook.sensitivity must be a positive number');
+    }
+
+    if (config.input) {
+        validateInput(config.input, !!config.debug, errors, warnings);
+    }
+
+    if (config.gamepad) {
+        validateGamepad(config.gamepad, errors, warnings);
+    }
+
+    if (config.portal && Array.isArray(config.portal.portals)) {
+        config.portal.portals.forEach((portal, index) => {
+            if (!portal || typeof portal.url !== 'string' || !isHttpUrl(portal.url)) {
+                errors.push(`portal.portals[${index}] url must be an http(s) link or a relative path (got "${portal && portal.url}")`);
+            }
+        });
+    }
+
+    if (config.timeToggle && config.timeToggle.enabled) {
+        validateTimeToggle(config.timeToggle, errors, warnings);
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Key binding overrides: known actions, well-formed keys, no clashes within a context
+ */
+function validateInput(input, debug, errors, warnings) {
+    const bindings = input.bindings || {};
+    if (typeof bindings !== 'object' || Array.isArray(bindings)) {
+        errors.push('input.bindings must be an object of { action: key | [keys] }');
+        return;
+    }
+
+    Object.entries(bindings).forEach(([action, keys]) => {
+        if (!ACTIONS[action]) {
+            warnings.push(`input.bindings: unknown action "${action}" (ignored)`);
+            return;
+        }
+        (Array.isArray(keys) ? keys : [keys]).forEach((key) => {
+            if (!isValidKey(key)) {
+                errors.push(`input.bindings.${action}: "${key}" is not a key code (e.g. "KeyW", "Shift+Digit1")`);
+            }
+        });
+    });
+
+    findConflicts(resolveBindings(bindings), debug).forEach(({ context, key, actions }) => {
+        warnings.push(`input.bindings: ${formatKey(key)} is bound to ${actions.join(' and ')} in ${context}`);
+    });
+}
+
+/**
+ * Gamepad dead zone, sensitivities and button -> action map
+ */
+function validateGamepad(gamepad, errors, warnings) {
+    if (gamepad.deadZone !== undefined && !(Number.isFinite(gamepad.deadZone) && gamepad.deadZone >= 0 && gamepad.deadZone < 1)) {
+        errors.push('gamepad.deadZone must be a number from 0 to just below 1');
+    }
+    ['moveSensitivity', 'lookSensitivity'].forEach((key) => {
+        const value = gamepad[key];
+        if (value !== undefined && !(Number.isFinite(value) && value > 0)) {
+            errors.push(`gamepad.${key} must be a positive number`);
+        }
+    });
+
+    Object.entries(gamepad.buttons || {}).forEach(([index, action]) => {
+        if (!/^\d+$/.test(index) || Number(index) >= BUTTON_NAMES.length) {
+            errors.push(`gamepad.buttons: "${index}" is not a standard gamepad button index (0-${BUTTON_NAMES.length - 1})`);
+        } else if (!ACTIONS[action]) {
+            warnings.push(`gamepad.buttons.${index} (${BUTTON_NAMES[index]}): unknown action "${action}" (ignored)`);
+        }
+    });
+}
+
+/**
+ * Times, default time, transforms and time toggle options
+ */
+function validateTimeToggle(tt, errors, warnings) {
+    if (!Array.isArray(tt.times) || tt.times.length === 0) {
+        errors.push('timeToggle.times must be a non-empty array of captures');
+        return;
+    }
+
+    const ids = new Set();
+    tt.times.forEach((time, index) => {
+        const where = `timeToggle.times[${index}]`;
+
+        if (!time || typeof time.id !== 'string' || time.id === '') {
+            errors.push(`${where} needs an "id" string`);
+            return;
+        }
+        if (ids.has(time.id)) {
+            errors.push(`${where}: duplicate id "${time.id}" (ids must be unique)`);
+        }
+        ids.add(time.id);
+
+        if (typeof time.path !== 'string' || time.path === '') {
+            errors.push(`${where} ("${time.id}") needs a "path" to the folder containing lod-meta.json`);
+        } else if (!time.path.endsWith('/')) {
+            errors.push(`${where} ("${time.id}") path "${time.path}" must end with "/"`);
+        }
+
+        if (time.collisionTransform !== undefined && time.collisionTransform !== null) {
+            validateMatrix(time.collisionTransform, `${where}.collisionTransform`, errors);
+        }
+    });
+
+    if (!ids.has(tt.defaultTime)) {
+        errors.push(`timeToggle.defaultTime "${tt.defaultTime}" is not one of the time ids (${[...ids].join(', ')})`);
+    }
+
+    Object.entries(tt.transforms || {}).forEach(([timeId, matrix]) => {
+        if (matrix === null || matrix === undefined) return;
+        if (!ids.has(timeId)) {
+            warnings.push(`timeToggle.transforms.${timeId} has no matching time and is ignored`);
+            return;
+        }
+        validateMatrix(matrix, `timeToggle.transforms.${timeId}`, errors);
+    });
+
+    if (tt.uiMode !== undefined && !UI_MODES.includes(tt.uiMode)) {
+        errors.push(`timeToggle.uiMode must be one of ${UI_MODES.join(', ')} (got "${tt.uiMode}")`);
+    }
+    if (tt.transitionDuration !== undefined && !(Number.isFinite(tt.transitionDuration) && tt.transitionDuration >= 0)) {
+        errors.push('timeToggle.transitionDuration must be a number of seconds >= 0');
+    }
+    if (tt.transitionEasing !== undefined && !EASING[tt.transitionEasing]) {
+        errors.push(`timeToggle.transitionEasing must be one of ${Object.keys(EASING).join(', ')} (got "${tt.transitionEasing}")`);
+    }
+
+    validateMemoryBudget(tt.memoryBudget, errors);
+
+    const retry = tt.loadRetry;
+    if (retry && retry.attempts !== undefined && !(Number.isInteger(retry.attempts) && retry.attempts >= 1)) {
+        errors.push('timeToggle.loadRetry.attempts must be a whole number >= 1');
+    }
+    if (retry && retry.baseDelay !== undefined && !(Number.isFinite(retry.baseDelay) && retry.baseDelay >= 0)) {
+        errors.push('timeToggle.loadRetry.baseDelay must be a number of milliseconds >= 0');
+    }
+
+    if (tt.preloadInactiveLOD !== undefined && !(Number.isInteger(tt.preloadInactiveLOD) && tt.preloadInactiveLOD >= 0)) {
+        errors.push('timeToggle.preloadInactiveLOD must be a whole number >= 0 (LOD level, higher = coarser)');
+    }
+
+    const split = tt.splitView;
+    if (split && split.initialPosition !== undefined &&
+        !(Number.isFinite(split.initialPosition) && split.initialPosition >= 0 && split.initialPosition <= 1)) {
+        errors.push('timeToggle.splitView.initialPosition must be between 0 and 1');
+    }
+
+    validateSnapshot(tt.snapshot, errors);
+}
+
+/**
+ * Snapshot export: stamp corner, output formats and timings
+ */
+function validateSnapshot(snapshot, errors) {
+    if (!snapshot) return;
+
+    const corners = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'none'];
+    if (snapshot.corner !== undefined && !corners.includes(snapshot.corner)) {
+        errors.push(`timeToggle.snapshot.corner must be one of ${corners.join(', ')} (got "${snapshot.corner}")`);
+    }
+
+    const outputs = ['png', 'composite', 'gif', 'webp'];
+    if (snapshot.outputs !== undefined &&
+        !(Array.isArray(snapshot.outputs) && snapshot.outputs.every(output => outputs.includes(output)))) {
+        errors.push(`timeToggle.snapshot.outputs must be a list of ${outputs.join(', ')}`);
+    }
+
+    ['blinkInterval', 'animationMaxWidth', 'settleTime', 'settleTimeout'].forEach((key) => {
+        const value = snapshot[key];
+        if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+            errors.push(`timeToggle.snapshot.${key} must be a number >= 0`);
+        }
+    });
+}
+
+/**
+ * Memory budget: per-platform limits, each null or a positive number
+ */
+function validateMemoryBudget(budget, errors) {
+    if (!budget) return;
+
+    ['desktop', 'mobile'].forEach((platform) => {
+        const limits = budget[platform];
+        if (!limits) return;
+
+        const resident = limits.maxResidentTimes;
+        if (resident !== undefined && resident !== null && !(Number.isInteger(resident) && resident >= 1)) {
+            errors.push(`timeToggle.memoryBudget.${platform}.maxResidentTimes must be a whole number >= 1 or null`);
+        }
+        const megabytes = limits.maxMegabytes;
+        if (megabytes !== undefined && megabytes !== null && !(Number.isFinite(megabytes) && megabytes > 0)) {
+            errors.push(`timeToggle.memoryBudget.${platform}.maxMegabytes must be a positive number or null`);
+        }
+    });
+
+    if (budget.bytesPerSplat !== undefined && !(Number.isFinite(budget.bytesPerSplat) && budget.bytesPerSplat > 0)) {
+        errors.push('timeToggle.memoryBudget.bytesPerSplat must be a positive number');
+    }
+}
+
+/**
+ * LOD presets: range [min, max] ordered, distances ascending
+ */
+function validateLod(lod, errors) {
+    if (!lod) {
+        errors.push('lod settings are missing (need lod.desktop and lod.mobile)');
+        return;
+    }
+
+    ['desktop', 'mobile'].forEach((platform) => {
+        const preset = lod[platform];
+        const where = `lod.${platform}`;
+
+        if (!preset) {
+            errors.push(`${where} preset is missing`);
+            return;
+        }
+
+        const range = preset.range;
+        if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isInteger)) {
+            errors.push(`${where}.range must be two whole numbers [min, max]`);
+        } else if (range[0] < 0 || range[0] > range[1]) {
+            errors.push(`${where}.range [${range.join(', ')}] must be ordered with min >= 0 and min <= max`);
+        }
+
+        const distances = preset.lodDistances;
+        if (!Array.isArray(distances) || distances.length === 0 || !distances.every(d => Number.isFinite(d) && d > 0)) {
+            errors.push(`${where}.lodDistances must be a list of positive numbers`);
+        } else if (distances.some((d, i) => i > 0 && d <= distances[i - 1])) {
+            errors.push(`${where}.lodDistances must be in increasing order`);
+        }
+    });
+}
+
+/**
+ * SplatAlign matrix: 16 finite numbers, invertible
+ */
+function validateMatrix(matrix, where, errors) {
+    if (!Array.isArray(matrix)) {
+        errors.push(`${where} must be an array of 16 numbers (matrix_column_major_flat) or null`);
+        return;
+    }
+    if (matrix.length !== 16) {
+        errors.push(`${where} has ${matrix.length} numbers, expected 16`);
+        return;
+    }
+    const badIndex = matrix.findIndex(v => typeof v !== 'number' || !Number.isFinite(v));
+    if (badIndex !== -1) {
+        errors.push(`${where}[${badIndex}] is not a finite number`);
+        return;
+    }
+    if (Math.abs(determinant4(matrix)) < 1e-9) {
+        errors.push(`${where} is not invertible (determinant is 0) - check the values pasted from SplatAlign`);
+    }
+}
+
+function validateVec3(vec, where, errors) {
+    if (!vec || !['x', 'y', 'z'].every(axis => Number.isFinite(vec[axis]))) {
+        errors.push(`${where} must have numeric x, y and z`);
+    }
+}
+
+/**
+ * Determinant of a 4x4 matrix (layout doesn't matter, det(M) = det(Mᵀ))
+ */
+function determinant4(m) {
+    const s0 = m[0] * m[5] - m[4] * m[1];
+    const s1 = m[0] * m[6] - m[4] * m[2];
+    const s2 = m[0] * m[7] - m[4] * m[3];
+    const s3 = m[1] * m[6] - m[5] * m[2];
+    const s4 = m[1] * m[7] - m[5] * m[3];
+    const s5 = m[2] * m[7] - m[6] * m[3];
+
+    const c5 = m[10] * m[15] - m[14] * m[11];
+    const c4 = m[9] * m[15] - m[13] * m[11];
+    const c3 = m[9] * m[14] - m[13] * m[10];
+    const c2 = m[8] * m[15] - m[12] * m[11];
+    const c1 = m[8] * m[14] - m[12] * m[10];
+    const c0 = m[8] * m[13] - m[12] * m[9];
+
+    return s0 * c5 - s1 * c4 + s2 * c3 + s3 * c2 - s4 * c1 + s5 * c0;
+}
@@ -1,7 +1,8 @@
 /**
  * Splat Time Toggle - Configuration
  *
- * Configure your two temporal splat captures and alignment transform here.
+ * Configure your temporal splat captures and alignment transforms here, or
+ * in a JSON scene manifest that overrides these defaults at runtime.
  * Use SplatAlign (https://github.com/terminusfilms/splatalign) to generate
  * the alignment transform matrix.
  */
@@ -20,7 +21,17 @@ export const config = {
     // Scene identifier
     sceneName: 'my-time-toggle-scene',
 
+    // Optional: Scene manifest (JSON with the same fields as this config)
+    // Values in the manifest override the defaults below, so one build can serve many sites.
+    // Load a specific scene with ?scene=name (-> scenesDir/name.json) or ?scene=path.json (same origin only)
+    sceneManifest: './scene.json',  // Loaded if present; set to null to always use config.js
+    scenesDir: './scenes/',
+
+    // Wall boundaries file (see wall editor)
+    wallConfig: './wall_config.json',
+
     // Optional: Collision mesh (GLB file, decimated from your scene)
+    // Shared by all time states unless a time declares its own collisionMesh
     // Set to null to disable collision
     collisionMesh: null,  // e.g., './collision_mesh.glb'
 
@@ -33,12 +44,79 @@ export const config = {
     maxMoveSpeed: getParam('maxSpeed', 0.125),
     turnSpeed: 0.002,
 
+    // Mouse look: drag with a mouse button by default. With pointerLock, a click on the scene
+    // captures the mouse and plain mouse movement looks around; Esc releases it.
+    mouseLook: {
+        pointerLock: getParam('pointerLock', false),
+        sensitivity: 1,  // Multiplier on turnSpeed while the mouse is captured
+        invertY: false
+    },
+
+    // Shareable view links: camera pose, time and fly/walk mode are kept in the URL hash
+    // (e.g. #pos=1.20,1.60,-3.40&rot=-5.0,180.0&time=secondary) and restored on load
+    urlState: {
+        enabled: true,
+        idleDelay: 500  // ms the view must be still before the URL is updated
+    },
+
+    // Camera tours (Y opens the tour panel; M adds a keyframe, J plays/pauses)
+    tour: {
+        url: null,  // Optional tour JSON loaded on startup, e.g. './tour.json'
+        speed: 1    // Playback speed multiplier
+    },
+
+    // World-anchored annotations (click a marker for details; I places one in debug mode)
+    annotations: {
+        url: './annotations.json',  // Loaded if present; text/image can be overridden per time id
+        maxDistance: 30             // Hide markers further away than this (meters)
+    },
+
+    // Measurement tool (Z key): points are picked on the collision mesh
+    measure: {
+        planeDepth: 5,     // Meters in front of the camera for clicks that miss the mesh
+        maxDistance: 100   // Longest pick ray (meters)
+    },
+
+    // Keyboard rebinding: { action: key | [keys] } overriding the defaults in input-map.js
+    // Keys are KeyboardEvent.code values with optional Ctrl+/Alt+/Shift+ prefixes,
+    // e.g. { 'move.forward': ['KeyW', 'ArrowUp'], 'view.reset': 'Shift+KeyR' }. Press ? for the list.
+    input: {
+        bindings: {}
+    },
+
+    // Gamepad (standard mapping): left stick move, right stick look, RT/LT up/down in fly mode,
+    // L3 sprint. buttons maps button index -> input map action id (0 = A, 1 = B, 2 = X, 3 = Y,
+    // 4 = LB, 5 = RB, 8 = Back, 9 = Start, 12-15 = D-pad up/down/left/right)
+    gamepad: {
+        enabled: true,
+        deadZone: 0.15,        // Stick/trigger values below this are ignored (0..1)
+        moveSensitivity: 1,    // Left stick speed multiplier
+        lookSensitivity: 120,  // Right stick turn rate at full deflection (degrees per second)
+        invertY: false,
+        buttons: {
+            4: 'time.prev',
+            5: 'time.next',
+            8: 'view.reset'
+        }
+    },
+
     // Camera Settings
     fov: 50,
     startPosition: { x: 0, y: 1.6, z: 5 },  // Adjust to your scene
     startRotation: { x: 0, y: 180, z: 0 },   // Facing -Z
     maxY: 10.0,  // Maximum camera height
 
+    // Walk mode ground following: with a collision mesh loaded, the camera keeps eyeHeight above
+    // the surface below it, climbs steps up to maxStepHeight and falls off higher ledges (Q/E then
+    // change the eye height). Without a mesh, walk mode keeps the camera height where Q/E leave it.
+    walk: {
+        groundFollow: true,
+        eyeHeight: 1.6,       // Meters above the ground
+        maxEyeHeight: 3,      // Highest eye height Q/E can raise it to (meters above the ground)
+        maxStepHeight: 0.35,  // Highest step or curb walked onto (meters)
+        gravity: 9.81         // m/s² when walking off a ledge
+    },
+
     // LOD Settings (adjust based on your splat size)
     lod: {
         desktop: {
@@ -60,9 +138,14 @@ export const config = {
         // Which time state to show on load
         defaultTime: 'primary',
 
-        // Your two temporal captures
+        // Your temporal captures, oldest first (two or more)
         // - path: folder containing lod-meta.json from splat-transform
         // - label: display name in UI
+        // - date: optional, shown under the label on the timeline
+        // - collisionMesh: optional GLB used while this time is active (geometry that changed
+        //   between captures); times without one use the shared collisionMesh above
+        // - collisionTransform: optional SplatAlign matrix for that GLB. Defaults to this
+        //   time's entry in transforms; set to null if the GLB is already aligned
         times: [
             {
                 id: 'primary',
@@ -91,8 +174,65 @@ export const config = {
             ]
         },
 
+        // Time control UI: 'compact' (single toggle button), 'timeline' (scrubber with
+        // one tick per capture), or 'auto' (timeline when there are more than two captures)
+        uiMode: 'auto',
+
+        // Crossfade between time states
+        // - transitionDuration: seconds (0 = instant cut)
+        // - transitionEasing: 'linear' | 'easeIn' | 'easeOut' | 'easeInOut'
+        transitionDuration: 0.5,
+        transitionEasing: 'easeInOut',
+
+        // Background preloading: once the active capture has loaded, neighbouring times
+        // (and the toggle target) load capped at preloadInactiveLOD so switching is instant,
+        // then step up to full LOD when shown. Per platform; preloads stay within memoryBudget.
+        preloadInactive: {
+            desktop: true,
+            mobile: false
+        },
+
         // LOD level for preloading inactive time (higher = lower quality, faster load)
-        preloadInactiveLOD: 5
+        preloadInactiveLOD: 5,
+
+        // Failed lod-meta.json loads are retried with exponential backoff
+        // - attempts: total tries before the time is marked as failed
+        // - baseDelay: ms before the first retry, doubled for each further one
+        loadRetry: {
+            attempts: 3,
+            baseDelay: 1000
+        },
+
+        // Memory budget for loaded captures, per platform
+        // Captures beyond the budget are unloaded, least recently viewed first, and
+        // reloaded when shown again. The visible capture (and both sides of the split
+        // view) always stay loaded.
+        // - maxResidentTimes: captures kept in memory, including the visible one (null = no limit)
+        // - maxMegabytes: estimated size limit from lod-meta splat counts (null = no limit)
+        // - bytesPerSplat: size estimate per splat used for maxMegabytes
+        memoryBudget: {
+            desktop: { maxResidentTimes: 3, maxMegabytes: null },
+            mobile: { maxResidentTimes: 2, maxMegabytes: 400 },
+            bytesPerSplat: 64
+        },
+
+        // Split view: draggable before/after divider comparing the two endpoints
+        // (toggle with the Compare button or \ key)
+        splitView: {
+            enabled: true,
+            initialPosition: 0.5  // Divider position, 0 = left edge, 1 = right edge
+        },
+
+        // Same-viewpoint stills of every time for reports (📷 button)
+        snapshot: {
+            enabled: true,
+            corner: 'bottom-left',                 // Label + date stamp: top-left, top-right, bottom-left, bottom-right or none
+            outputs: ['png', 'composite', 'gif'],  // Also 'webp' (animated; browsers without a WebP encoder skip it)
+            blinkInterval: 800,                    // ms per frame in the blink GIF/WebP
+            animationMaxWidth: 960,                // GIF/WebP are downscaled to this width (px)
+            settleTime: 1000,                      // ms a time must be fully loaded before its frame is taken
+            settleTimeout: 20000                   // ms to wait for LOD before capturing anyway
+        }
     },
 
     // Scene-level LOD behavior (advanced - usually don't need to change)
@@ -108,12 +248,28 @@ export const config = {
         colorUpdateAngleLodScale: 2
     },
 
+    // Portals to other scenes (optional)
+    // Walking into an orb saves your position here and opens the target URL
+    portal: {
+        enabled: false,
+        radius: 0.5,          // Orb radius in meters (solid until you step away from an orb you arrived next to)
+        triggerMargin: 0.3,   // Navigate when this close to the orb surface
+        labelDistance: 8,     // Show the portal label within this distance
+        // In a scene manifest, portal urls are relative to the manifest file, except
+        // '?scene=...' / '#...' links, which stay on this viewer page
+        portals: [
+            // { id: 'upstairs', label: 'Upstairs', url: '../upstairs/', position: { x: 0, y: 1.6, z: -3 }, color: [0.4, 0.7, 1] }
+        ]
+    },
+
     // Mobile touch sensitivity
     mobileSensitivity: 0.93,
 
     // Wall boundaries (optional, for constraining movement)
+    // Edit in-viewer with ?debug=true, then F to open the wall editor
     wallHeight: 50,
-    wallColor: 0x00ff00
+    wallColor: 0x00ff00,
+    wallGroundY: 0  // Ground plane height used by the wall editor for node picking
 };
 
 // Helper to detect mobile device
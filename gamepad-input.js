@@ -0,0 +1,133 @@
+/**
+ * Gamepad Input
+ *
+ * Polls the Gamepad API once per frame as another movement source next to the keyboard
+ * and the mobile joystick: left stick moves, right stick looks, the triggers move up/down
+ * in fly mode and clicking the left stick sprints. Other buttons fire input map actions
+ * (config.gamepad.buttons, shoulder buttons step through the times by default), so they
+ * obey the same contexts as their keys.
+ *
+ * Button and axis numbers follow the browser's "standard" mapping (Xbox layout names).
+ */
+
+export const BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+    'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'
+];
+
+// Standard mapping indices with a fixed meaning (read every frame, not edge-triggered)
+const LEFT_TRIGGER = 6;
+const RIGHT_TRIGGER = 7;
+const LEFT_STICK_BUTTON = 10;
+
+/**
+ * Radial dead zone: stick values inside deadZone read as 0, the rest is rescaled so
+ * output still starts at 0 just outside it
+ * @returns {number[]} - [x, y]
+ */
+export function applyDeadZone(x, y, deadZone) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude <= deadZone) return [0, 0];
+    const scale = Math.min(1, (magnitude - deadZone) / (1 - deadZone)) / magnitude;
+    return [x * scale, y * scale];
+}
+
+export class GamepadInput {
+    /**
+     * @param {Object} config - Reads config.gamepad
+     * @param {InputMap} inputMap - Receives button actions
+     */
+    constructor(config, inputMap) {
+        const options = config.gamepad || {};
+        this.enabled = options.enabled !== false && !!navigator.getGamepads;
+        this.deadZone = options.deadZone ?? 0.15;
+        this.moveSensitivity = options.moveSensitivity ?? 1;
+        this.lookSensitivity = options.lookSensitivity ?? 120;
+        this.invertY = !!options.invertY;
+        this.buttons = options.buttons || {};
+        this.inputMap = inputMap;
+
+        this.index = null;   // navigator.getGamepads() slot in use
+        this.previous = [];  // pressed state per button on the last poll
+
+        this.state = {
+            forward: 0,  // -1..1, left stick
+            right: 0,
+            lookX: 0,    // -1..1, right stick
+            lookY: 0,
+            up: 0,       // 0..1, right trigger
+            down: 0,     // 0..1, left trigger
+            sprint: false,
+            active: false  // any stick or trigger outside the dead zone
+        };
+
+        if (!this.enabled) return;
+
+        window.addEventListener('gamepadconnected', (e) => {
+            console.log('Gamepad connected:', e.gamepad.id, e.gamepad.mapping === 'standard' ? '' : '(non-standard mapping)');
+            if (this.index === null) this.index = e.gamepad.index;
+        });
+        window.addEventListener('gamepaddisconnected', (e) => {
+            console.log('Gamepad disconnected:', e.gamepad.id);
+            if (e.gamepad.index === this.index) {
+                this.index = null;
+                this.previous = [];
+            }
+        });
+    }
+
+    /**
+     * Read the current gamepad and fire actions for newly pressed buttons
+     * @returns {Object} - this.state
+     */
+    poll() {
+        const state = this.state;
+        state.forward = state.right = state.lookX = state.lookY = state.up = state.down = 0;
+        state.sprint = false;
+        state.active = false;
+
+        const pad = this.enabled ? this._getPad() : null;
+        if (!pad) return state;
+
+        const axes = pad.axes;
+        const [moveX, moveY] = applyDeadZone(axes[0] || 0, axes[1] || 0, this.deadZone);
+        const [lookX, lookY] = applyDeadZone(axes[2] || 0, axes[3] || 0, this.deadZone);
+
+        state.forward = -moveY * this.moveSensitivity;
+        state.right = moveX * this.moveSensitivity;
+        state.lookX = lookX;
+        state.lookY = this.invertY ? -lookY : lookY;
+        state.up = this._triggerValue(pad.buttons[RIGHT_TRIGGER]);
+        state.down = this._triggerValue(pad.buttons[LEFT_TRIGGER]);
+        state.sprint = !!(pad.buttons[LEFT_STICK_BUTTON] && pad.buttons[LEFT_STICK_BUTTON].pressed);
+        state.active = moveX !== 0 || moveY !== 0 || lookX !== 0 || lookY !== 0 || state.up > 0 || state.down > 0;
+
+        pad.buttons.forEach((button, i) => {
+            const action = this.buttons[i];
+            if (action && button.pressed && !this.previous[i]) {
+                this.inputMap.trigger(action);
+            }
+            this.previous[i] = button.pressed;
+        });
+
+        return state;
+    }
+
+    /**
+     * The connected pad, or the first one found (Chrome only reports pads after a button press)
+     */
+    _getPad() {
+        const pads = navigator.getGamepads();
+        if (this.index !== null && pads[this.index]) return pads[this.index];
+
+        const pad = Array.from(pads).find(p => p && p.connected) || null;
+        this.index = pad ? pad.index : null;
+        return pad;
+    }
+
+    _triggerValue(button) {
+        if (!button) return 0;
+        const value = button.value ?? (button.pressed ? 1 : 0);
+        return value > this.deadZone ? (value - this.deadZone) / (1 - this.deadZone) : 0;
+    }
+}
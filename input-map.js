@@ -0,0 +1,449 @@
+/**
+ * Input Map
+ *
+ * Central registry of keyboard actions. Every shortcut in the viewer is an action with a
+ * label, a context and default keys; config.input.bindings can rebind any of them.
+ *
+ * Contexts scope bindings: navigation is always active, tool contexts (wall editor,
+ * alignment, measure, help) only while that tool is on. A key goes to the highest-priority
+ * active context that binds it, so the wall editor's T (split) shadows the navigation T
+ * (alignment mode) while the editor is open. Global actions (the ? help overlay) come
+ * before every context and can't be shadowed. Two actions on the same key in the same
+ * context, or a global key that hides a tool's key, are a conflict: it is logged, shown in
+ * the help overlay, and the first action listed wins.
+ *
+ * Keys are KeyboardEvent.code values (layout independent), optionally prefixed with
+ * modifiers: 'KeyW', 'BracketLeft', 'Ctrl+KeyZ', 'Shift+Slash'. Ctrl also matches Cmd.
+ * Shift and Alt are ignored unless the binding asks for them (alignment uses them as
+ * step modifiers). Keys typed into text fields never reach the map.
+ */
+
+export const CONTEXTS = {
+    global: { label: 'Everywhere', priority: 200 },
+    help: { label: 'Help overlay', priority: 100 },
+    editor: { label: 'Wall editor (F)', priority: 30 },
+    measure: { label: 'Measure tool', priority: 20 },
+    alignment: { label: 'Alignment mode', priority: 10 },
+    navigation: { label: 'Navigation', priority: 0 }
+};
+
+// action id -> { label, context, keys, hold (polled while down), repeat (fires on key repeat), debug (only with ?debug=true) }
+export const ACTIONS = {
+    'move.forward': { label: 'Move forward', context: 'navigation', keys: ['KeyW'], hold: true },
+    'move.back': { label: 'Move back', context: 'navigation', keys: ['KeyS'], hold: true },
+    'move.left': { label: 'Move left', context: 'navigation', keys: ['KeyA'], hold: true },
+    'move.right': { label: 'Move right', context: 'navigation', keys: ['KeyD'], hold: true },
+    'move.up': { label: 'Up', context: 'navigation', keys: ['KeyQ'], hold: true },
+    'move.down': { label: 'Down', context: 'navigation', keys: ['KeyE'], hold: true },
+    'move.sprint': { label: 'Go faster (hold)', context: 'navigation', keys: ['ShiftLeft'], hold: true },
+    'view.reset': { label: 'Reset position', context: 'navigation', keys: ['KeyR'] },
+    'view.fly': { label: 'Fly mode (no collision)', context: 'navigation', keys: ['KeyO'] },
+    'time.prev': { label: 'Previous time', context: 'navigation', keys: ['BracketLeft'] },
+    'time.next': { label: 'Next time', context: 'navigation', keys: ['BracketRight'] },
+    'time.split': { label: 'Split view compare', context: 'navigation', keys: ['Backslash'] },
+    'lod.next': { label: 'Coarser LOD (cycles)', context: 'navigation', keys: ['KeyL'], repeat: true },
+    'ui.hide': { label: 'Hide / show UI', context: 'navigation', keys: ['KeyH'] },
+    'ui.position': { label: 'Position readout', context: 'navigation', keys: ['KeyU'] },
+    'ui.help': { label: 'Keyboard shortcuts', context: 'global', keys: ['Shift+Slash'] },
+    'tools.alignment': { label: 'Alignment mode', context: 'navigation', keys: ['KeyT'] },
+    'tools.pointPair': { label: 'Point-pair alignment', context: 'navigation', keys: ['KeyK'] },
+    'tools.measure': { label: 'Measurement tool', context: 'navigation', keys: ['KeyZ'] },
+    'tour.panel': { label: 'Tour panel', context: 'navigation', keys: ['KeyY'] },
+    'tour.keyframe': { label: 'Add tour keyframe', context: 'navigation', keys: ['KeyM'] },
+    'tour.play': { label: 'Play / pause tour', context: 'navigation', keys: ['KeyJ'] },
+    'debug.editor': { label: 'Wall editor', context: 'navigation', keys: ['KeyF'], debug: true },
+    'debug.collisionMesh': { label: 'Show collision mesh', context: 'navigation', keys: ['KeyV'], debug: true },
+    'debug.collision': { label: 'Collision on / off', context: 'navigation', keys: ['KeyC'], debug: true },
+    'debug.walls': { label: 'Wall collision on / off', context: 'navigation', keys: ['KeyB'], debug: true },
+    'debug.annotation': { label: 'Place annotation at camera', context: 'navigation', keys: ['KeyI'], debug: true },
+
+    'editor.move': { label: 'Move mode', context: 'editor', keys: ['KeyG'] },
+    'editor.add': { label: 'Add mode', context: 'editor', keys: ['KeyN'] },
+    'editor.split': { label: 'Split mode', context: 'editor', keys: ['KeyT'] },
+    'editor.delete': { label: 'Delete mode', context: 'editor', keys: ['KeyX'] },
+    'editor.place': { label: 'Add node at camera (Add mode)', context: 'editor', keys: ['Space'] },
+    'editor.cancel': { label: 'End current wall chain', context: 'editor', keys: ['Escape'] },
+    'editor.save': { label: 'Save wall_config.json', context: 'editor', keys: ['KeyP'] },
+
+    'measure.finish': { label: 'Finish polyline', context: 'measure', keys: ['Enter', 'NumpadEnter'] },
+    'measure.undo': { label: 'Undo point', context: 'measure', keys: ['Backspace'] },
+    'measure.cancel': { label: 'Discard current measurement', context: 'measure', keys: ['Escape'] },
+
+    'align.left': { label: 'Move -X', context: 'alignment', keys: ['Numpad4', 'Digit4'], repeat: true },
+    'align.right': { label: 'Move +X', context: 'alignment', keys: ['Numpad6', 'Digit6'], repeat: true },
+    'align.forward': { label: 'Move -Z', context: 'alignment', keys: ['Numpad8', 'Digit8'], repeat: true },
+    'align.back': { label: 'Move +Z', context: 'alignment', keys: ['Numpad2', 'Digit2'], repeat: true },
+    'align.down': { label: 'Move -Y', context: 'alignment', keys: ['NumpadSubtract', 'Minus'], repeat: true },
+    'align.up': { label: 'Move +Y', context: 'alignment', keys: ['NumpadAdd', 'Equal'], repeat: true },
+    'align.yawLeft': { label: 'Yaw -', context: 'alignment', keys: ['Numpad7', 'Digit7'], repeat: true },
+    'align.yawRight': { label: 'Yaw +', context: 'alignment', keys: ['Numpad9', 'Digit9'], repeat: true },
+    'align.pitchDown': { label: 'Pitch -', context: 'alignment', keys: ['Numpad1', 'Digit1'], repeat: true },
+    'align.pitchUp': { label: 'Pitch +', context: 'alignment', keys: ['Numpad3', 'Digit3'], repeat: true },
+    'align.rollLeft': { label: 'Roll -', context: 'alignment', keys: ['NumpadDivide', 'Semicolon'], repeat: true },
+    'align.rollRight': { label: 'Roll +', context: 'alignment', keys: ['NumpadMultiply', 'Quote'], repeat: true },
+    'align.scaleDown': { label: 'Scale -', context: 'alignment', keys: ['Numpad0', 'Digit0'], repeat: true },
+    'align.scaleUp': { label: 'Scale +', context: 'alignment', keys: ['NumpadDecimal', 'Period'], repeat: true },
+    'align.reset': { label: 'Reset capture', context: 'alignment', keys: ['Numpad5', 'Digit5'] },
+    'align.next': { label: 'Next capture', context: 'alignment', keys: ['Tab'] },
+    'align.undo': { label: 'Undo', context: 'alignment', keys: ['Ctrl+KeyZ'], repeat: true },
+    'align.export': { label: 'Export matrix', context: 'alignment', keys: ['Enter', 'NumpadEnter'] },
+
+    'help.close': { label: 'Close help', context: 'help', keys: ['Escape'] }
+};
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift'];
+const KEY_PATTERN = /^((Ctrl|Alt|Shift)\+)*[A-Za-z0-9]+$/;
+
+const KEY_NAMES = {
+    BracketLeft: '[', BracketRight: ']', Backslash: '\\', Slash: '/', Minus: '-', Equal: '=',
+    Period: '.', Comma: ',', Semicolon: ';', Quote: "'", Backquote: '`', Escape: 'Esc',
+    ShiftLeft: 'Shift', ShiftRight: 'Right Shift', ControlLeft: 'Ctrl', AltLeft: 'Alt',
+    ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+    NumpadAdd: 'Num +', NumpadSubtract: 'Num -', NumpadMultiply: 'Num *', NumpadDivide: 'Num /',
+    NumpadDecimal: 'Num .', NumpadEnter: 'Num Enter'
+};
+
+/**
+ * Parse 'Ctrl+KeyZ' into { code, ctrl, alt, shift }
+ */
+export function parseKey(key) {
+    const parts = key.split('+');
+    const code = parts.pop();
+    return {
+        code,
+        ctrl: parts.includes('Ctrl'),
+        alt: parts.includes('Alt'),
+        shift: parts.includes('Shift')
+    };
+}
+
+/**
+ * Canonical form of a key (modifiers in a fixed order), for comparing bindings
+ */
+function normalizeKey(key) {
+    const parsed = parseKey(key);
+    return MODIFIERS.filter(mod => parsed[mod.toLowerCase()]).concat(parsed.code).join('+');
+}
+
+export function isValidKey(key) {
+    return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+/**
+ * Human-readable key name ('KeyW' -> 'W', 'Shift+Slash' -> '?')
+ */
+export function formatKey(key) {
+    if (normalizeKey(key) === 'Shift+Slash') return '?';
+
+    const parsed = parseKey(key);
+    const name = KEY_NAMES[parsed.code] ||
+        parsed.code.replace(/^Key/, '').replace(/^Digit/, '').replace(/^Numpad(\d)$/, 'Num $1');
+    return MODIFIERS.filter(mod => parsed[mod.toLowerCase()]).concat(name).join('+');
+}
+
+/**
+ * Default keys merged with config overrides ({ action: key | [keys] })
+ * @returns {Object} - { action: [keys] }
+ */
+export function resolveBindings(overrides = {}) {
+    const bindings = {};
+    Object.entries(ACTIONS).forEach(([action, def]) => {
+        const override = overrides[action];
+        if (override === undefined) {
+            bindings[action] = def.keys.slice();
+        } else {
+            bindings[action] = (Array.isArray(override) ? override : [override]).filter(isValidKey);
+        }
+    });
+    return bindings;
+}
+
+/**
+ * Keys bound to more than one action within a context, and keys of global actions that
+ * shadow an action in any other context (global keys win everywhere; modifiers a binding
+ * doesn't ask for are ignored, so 'Shift+Slash' also shadows a plain 'Slash')
+ * @param {Object} bindings - From resolveBindings()
+ * @param {boolean} debug - Include debug-only actions
+ * @returns {{ context: string, key: string, actions: string[] }[]}
+ */
+export function findConflicts(bindings, debug = false) {
+    const active = Object.entries(bindings).filter(([action]) => {
+        const def = ACTIONS[action];
+        return def && (!def.debug || debug);
+    });
+
+    const byKey = {};
+    active.forEach(([action, keys]) => {
+        const { context } = ACTIONS[action];
+        new Set(keys.map(normalizeKey)).forEach((key) => {
+            const id = `${context}|${key}`;
+            byKey[id] = byKey[id] || { context, key, actions: [] };
+            byKey[id].actions.push(action);
+        });
+    });
+    const conflicts = Object.values(byKey).filter(entry => entry.actions.length > 1);
+
+    active.filter(([action]) => ACTIONS[action].context === 'global').forEach(([action, keys]) => {
+        new Set(keys.map(normalizeKey)).forEach((key) => {
+            const global = parseKey(key);
+            const shadowed = active
+                .filter(([other, otherKeys]) => ACTIONS[other].context !== 'global' && otherKeys.some((otherKey) => {
+                    const parsed = parseKey(otherKey);
+                    return parsed.code === global.code && parsed.ctrl === global.ctrl;
+                }))
+                .map(([other]) => other);
+            if (shadowed.length > 0) {
+                conflicts.push({ context: 'global', key, actions: [action, ...shadowed] });
+            }
+        });
+    });
+
+    return conflicts;
+}
+
+function isEditable(target) {
+    if (!target || !target.tagName) return false;
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+export class InputMap {
+    /**
+     * @param {Object} config - Reads config.input.bindings and config.debug
+     */
+    constructor(config, target = window) {
+        this.debug = !!config.debug;
+        this.bindings = resolveBindings(config.input && config.input.bindings);
+        this.conflicts = findConflicts(this.bindings, this.debug);
+
+        this.handlers = {};  // { action: [handler] }
+        this.contexts = {};  // { context: () => boolean } for tool contexts
+        this.pressed = {};   // { code: true } while a key is down
+
+        // Parsed bindings, for matching events
+        this._parsed = {};
+        Object.entries(this.bindings).forEach(([action, keys]) => {
+            this._parsed[action] = keys.map(parseKey);
+        });
+
+        // UI
+        this.helpOverlay = null;
+        this.helpVisible = false;
+
+        this.conflicts.forEach(({ context, key, actions }) => {
+            console.warn(`Key conflict in ${context}: ${formatKey(key)} is bound to ${actions.join(', ')} (${actions[0]} wins)`);
+        });
+
+        this.setContext('help', () => this.helpVisible);
+        this.on('ui.help', () => this.toggleHelp());
+        this.on('help.close', () => this.toggleHelp(false));
+
+        target.addEventListener('keydown', e => this._onKeyDown(e));
+        target.addEventListener('keyup', (e) => {
+            delete this.pressed[e.code];
+        });
+        // Keys released while the window is unfocused never send keyup
+        window.addEventListener('blur', () => {
+            this.pressed = {};
+        });
+    }
+
+    /**
+     * Register when a tool context is active
+     * @param {string} context - Key of CONTEXTS
+     * @param {Function} isActive - () => boolean
+     */
+    setContext(context, isActive) {
+        this.contexts[context] = isActive;
+    }
+
+    _isContextActive(context) {
+        if (context === 'navigation' || context === 'global') return true;
+        const isActive = this.contexts[context];
+        return !!(isActive && isActive());
+    }
+
+    _isEnabled(action) {
+        const def = ACTIONS[action];
+        return !!def && (!def.debug || this.debug);
+    }
+
+    /**
+     * Call handler(event) when the action's key is pressed
+     */
+    on(action, handler) {
+        if (!ACTIONS[action]) {
+            console.warn(`Unknown input action: ${action}`);
+            return;
+        }
+        (this.handlers[action] = this.handlers[action] || []).push(handler);
+    }
+
+    /**
+     * Fire an action from another input source (gamepad buttons), subject to the same
+     * debug gating and contexts as its keys
+     * @returns {boolean} - Whether the action was active
+     */
+    trigger(action, event = {}) {
+        if (!this._isEnabled(action) || !this._isContextActive(ACTIONS[action].context)) return false;
+        (this.handlers[action] || []).forEach(handler => handler(event));
+        return true;
+    }
+
+    /**
+     * True while a key bound to a hold action (e.g. movement) is down
+     */
+    isHeld(action) {
+        if (!this._isEnabled(action) || !this._isContextActive(ACTIONS[action].context)) return false;
+        return this._parsed[action].some(key => this.pressed[key.code]);
+    }
+
+    /**
+     * Keys bound to an action, formatted for display
+     */
+    keysFor(action) {
+        return (this.bindings[action] || []).map(formatKey);
+    }
+
+    /**
+     * Action for a key event: the highest-priority active context that binds the key,
+     * preferring the binding with the most matching modifiers
+     */
+    _resolve(e) {
+        const ctrl = e.ctrlKey || e.metaKey;
+        const contexts = Object.keys(CONTEXTS)
+            .filter(context => this._isContextActive(context))
+            .sort((a, b) => CONTEXTS[b].priority - CONTEXTS[a].priority);
+
+        for (const context of contexts) {
+            let best = null;
+            let bestScore = -1;
+            Object.entries(this._parsed).forEach(([action, keys]) => {
+                if (ACTIONS[action].context !== context || !this._isEnabled(action)) return;
+                keys.forEach((key) => {
+                    if (key.code !== e.code || key.ctrl !== ctrl) return;
+                    if ((key.alt && !e.altKey) || (key.shift && !e.shiftKey)) return;
+                    const score = (key.alt ? 1 : 0) + (key.shift ? 1 : 0);
+                    if (score > bestScore) {
+                        best = action;
+                        bestScore = score;
+                    }
+                });
+            });
+            if (best) return best;
+        }
+        return null;
+    }
+
+    _onKeyDown(e) {
+        // Typing in a text field (captions, annotation editor, ...) is never a shortcut
+        if (isEditable(e.target)) return;
+
+        if (!e.repeat) this.pressed[e.code] = true;
+
+        const action = this._resolve(e);
+        if (!action) return;
+
+        const handlers = this.handlers[action];
+        if (!handlers && ACTIONS[action].hold) return;
+
+        // Tab, Space, Ctrl+Z etc. must not also do their browser default
+        e.preventDefault();
+        if (e.repeat && !ACTIONS[action].repeat) return;
+
+        (handlers || []).forEach(handler => handler(e));
+    }
+
+    /**
+     * Show or hide the generated list of current bindings (? key)
+     */
+    toggleHelp(visible = !this.helpVisible) {
+        this.helpVisible = visible;
+        if (visible) this._renderHelp();
+        if (this.helpOverlay) this.helpOverlay.style.display = visible ? 'flex' : 'none';
+    }
+
+    _renderHelp() {
+        if (!this.helpOverlay) {
+            this.helpOverlay = document.createElement('div');
+            this.helpOverlay.id = 'input-help';
+            this.helpOverlay.style.cssText = `
+                position: fixed;
+                inset: 0;
+                background: rgba(0, 0, 0, 0.6);
+                z-index: 3000;
+                display: none;
+                align-items: center;
+                justify-content: center;
+            `;
+            this.helpOverlay.addEventListener('click', (e) => {
+                if (e.target === this.helpOverlay) this.toggleHelp(false);
+            });
+            document.body.appendChild(this.helpOverlay);
+        }
+
+        const card = document.createElement('div');
+        card.style.cssText = `
+            background: rgba(20, 20, 20, 0.95);
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            border-radius: 10px;
+            color: white;
+            font-size: 12px;
+            padding: 16px 20px;
+            max-width: min(860px, 92vw);
+            max-height: 85vh;
+            overflow-y: auto;
+        `;
+
+        const title = document.createElement('div');
+        title.style.cssText = 'font-size: 15px; font-weight: bold; margin-bottom: 4px;';
+        title.textContent = '⌨ Keyboard shortcuts';
+        const hint = document.createElement('div');
+        hint.style.cssText = 'opacity: 0.6; margin-bottom: 12px;';
+        hint.textContent = 'Mouse drag to look around. Rebind keys with input.bindings in config.js or the scene manifest.';
+        card.appendChild(title);
+        card.appendChild(hint);
+
+        if (this.conflicts.length > 0) {
+            const warning = document.createElement('div');
+            warning.style.cssText = 'color: rgb(255, 120, 120); margin-bottom: 12px; line-height: 1.5;';
+            warning.textContent = this.conflicts
+                .map(({ context, key, actions }) => `⚠ ${formatKey(key)} in ${CONTEXTS[context].label}: ${actions.map(a => ACTIONS[a].label).join(' / ')}`)
+                .join('\n');
+            warning.style.whiteSpace = 'pre-line';
+            card.appendChild(warning);
+        }
+
+        const columns = document.createElement('div');
+        columns.style.cssText = 'display: grid; grid-template-columns: repeat(auto-fit, minmax(240px, 1fr)); gap: 14px 24px;';
+
+        Object.entries(CONTEXTS).forEach(([context, { label }]) => {
+            const actions = Object.keys(ACTIONS).filter(action =>
+                ACTIONS[action].context === context && this._isEnabled(action) && context !== 'help');
+            if (actions.length === 0) return;
+
+            const section = document.createElement('div');
+            const heading = document.createElement('div');
+            heading.style.cssText = 'font-weight: bold; color: rgb(74, 144, 217); margin-bottom: 4px;';
+            heading.textContent = label;
+            section.appendChild(heading);
+
+            actions.forEach((action) => {
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; justify-content: space-between; gap: 12px; line-height: 1.6;';
+                const name = document.createElement('span');
+                name.textContent = ACTIONS[action].label;
+                const keys = document.createElement('span');
+                keys.style.cssText = 'font-family: monospace; opacity: 0.85; white-space: nowrap;';
+                keys.textContent = this.keysFor(action).join(' / ') || '—';
+                row.appendChild(name);
+                row.appendChild(keys);
+                section.appendChild(row);
+            });
+            columns.appendChild(section);
+        });
+
+        card.appendChild(columns);
+        this.helpOverlay.innerHTML = '';
+        this.helpOverlay.appendChild(card);
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * Load Progress Indicator
+ *
+ * Shows streaming progress of the visible capture (chunks loaded out of the total in
+ * lod-meta.json, with a bar for the chunks the current view still wants) next to the
+ * time control, and a retry button when lod-meta.json or chunk files fail to load.
+ * Appears only when loading takes longer than a moment, so walking around (which
+ * streams in new chunks constantly) doesn't make it flicker.
+ *
+ * Driven by TimeToggleSystem's load and switch events; it does no polling of its own.
+ */
+
+const SHOW_DELAY = 1.0; // seconds a load must be running before the indicator appears
+
+export class LoadProgressIndicator {
+    constructor(app, timeToggleSystem) {
+        this.app = app;
+        this.timeToggle = timeToggleSystem;
+
+        this.element = null;
+        this.labelEl = null;
+        this.fillEl = null;
+        this.retryBtn = null;
+
+        this.watchedId = null;
+        this.watchStart = 0;   // performance.now() when the watched load was first seen
+        this.showTimer = null; // Re-check once SHOW_DELAY has passed
+
+        this._createUI();
+
+        ['load:start', 'load:progress', 'load:complete', 'load:error', 'switch:start', 'switch:end']
+            .forEach(name => this.timeToggle.on(name, () => this.update()));
+    }
+
+    /**
+     * Create the indicator inside the time control container
+     */
+    _createUI() {
+        const styles = document.createElement('style');
+        styles.textContent = `
+            #time-load-progress {
+                position: absolute;
+                bottom: calc(100% + 8px);
+                left: 50%;
+                transform: translateX(-50%);
+            }
+            @media (max-width: 768px) and (orientation: portrait) {
+                #time-load-progress {
+                    bottom: auto;
+                    top: calc(100% + 8px);
+                }
+            }
+        `;
+        document.head.appendChild(styles);
+
+        this.element = document.createElement('div');
+        this.element.id = 'time-load-progress';
+        this.element.style.cssText = `
+            background: rgba(0, 0, 0, 0.7);
+            backdrop-filter: blur(10px);
+            color: white;
+            font-size: 12px;
+            padding: 6px 12px;
+            border-radius: 12px;
+            white-space: nowrap;
+            display: none;
+            align-items: center;
+            gap: 8px;
+        `;
+
+        this.labelEl = document.createElement('span');
+
+        const bar = document.createElement('div');
+        bar.style.cssText = `
+            width: 80px;
+            height: 4px;
+            border-radius: 2px;
+            background: rgba(255, 255, 255, 0.2);
+            overflow: hidden;
+        `;
+        this.fillEl = document.createElement('div');
+        this.fillEl.style.cssText = `
+            width: 0%;
+            height: 100%;
+            background: rgb(74, 144, 217);
+            transition: width 0.2s ease;
+        `;
+        bar.appendChild(this.fillEl);
+
+        this.retryBtn = document.createElement('button');
+        this.retryBtn.textContent = '↻ Retry';
+        this.retryBtn.style.cssText = `
+            background: rgba(217, 74, 74, 0.8);
+            color: white;
+            border: none;
+            border-radius: 10px;
+            padding: 3px 10px;
+            font-size: 12px;
+            cursor: pointer;
+            display: none;
+        `;
+        this.retryBtn.addEventListener('click', () => {
+            if (this.watchedId) this.timeToggle.retryLoad(this.watchedId);
+        });
+
+        this.element.appendChild(this.labelEl);
+        this.element.appendChild(bar);
+        this.element.appendChild(this.retryBtn);
+
+        if (this.timeToggle.sliderContainer) {
+            this.timeToggle.sliderContainer.appendChild(this.element);
+        }
+    }
+
+    /**
+     * Times worth reporting: a capture being loaded for a switch, then the visible one(s)
+     */
+    _candidates() {
+        const tt = this.timeToggle;
+        const ids = [];
+
+        // A failed switch leaves its error on the time that was requested
+        Object.keys(tt.loadErrors).forEach(id => ids.push(id));
+        if (tt.pendingTimeId) ids.push(tt.pendingTimeId);
+        ids.push(tt.transitionTo || tt.activeTimeId);
+        if (tt.compareMode) ids.push(tt.leftEndpoint, tt.rightEndpoint);
+
+        return [...new Set(ids)];
+    }
+
+    /**
+     * Refresh the indicator
+     */
+    update() {
+        const tt = this.timeToggle;
+        clearTimeout(this.showTimer);
+        this.showTimer = null;
+
+        let watched = null;
+        for (const timeId of this._candidates()) {
+            const progress = tt.getLoadProgress(timeId);
+            // Unknown progress (engine without chunk tracking) has nothing to show
+            if (progress.error || progress.state === 'loading' ||
+                (progress.state === 'loaded' && !progress.complete && !progress.unknown)) {
+                watched = { timeId, progress };
+                break;
+            }
+        }
+
+        if (!watched) {
+            this.watchedId = null;
+            this.element.style.display = 'none';
+            return;
+        }
+
+        if (watched.timeId !== this.watchedId) {
+            this.watchedId = watched.timeId;
+            this.watchStart = performance.now();
+        }
+
+        const { progress } = watched;
+        const waiting = SHOW_DELAY * 1000 - (performance.now() - this.watchStart);
+        if (!progress.error && waiting > 0) {
+            // The load may go quiet (no further events) before the delay is up
+            this.showTimer = setTimeout(() => this.update(), waiting);
+            return;
+        }
+
+        const time = tt.times.find(t => t.id === watched.timeId);
+        const label = time?.label || watched.timeId;
+
+        if (progress.error) {
+            this.labelEl.textContent = `⚠ ${label}: ${progress.error}`;
+            this.fillEl.style.background = 'rgb(217, 74, 74)';
+        } else if (progress.state === 'loading') {
+            this.labelEl.textContent = `Loading ${label}...`;
+            this.fillEl.style.background = 'rgb(74, 144, 217)';
+        } else {
+            this.labelEl.textContent = `${label}: ${progress.loaded} / ${progress.totalChunks} chunks (${progress.pending} streaming)`;
+            this.fillEl.style.background = 'rgb(74, 144, 217)';
+        }
+
+        this.fillEl.style.width = `${Math.round(progress.fraction * 100)}%`;
+        this.retryBtn.style.display = progress.error ? 'block' : 'none';
+        this.element.style.display = 'flex';
+    }
+}
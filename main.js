@@ -1,9 +1,21 @@
 import * as pc from 'playcanvas';
 import { CollisionSystem } from './collision-system.js';
-import { checkWallCollision, clearAllWalls, addWallSegment } from './wall-system.js';
+import { checkWallCollision, clearAllWalls, addWallSegment, setActiveWallSet } from './wall-system.js';
 import { WallEditor } from './wall-editor.js';
 import { PortalSystem } from './portal-system.js';
 import { TimeToggleSystem } from './time-toggle-system.js';
+import { SplitViewSystem } from './split-view-system.js';
+import { readViewState, ViewStateUrl } from './view-state.js';
+import { loadSceneManifest } from './scene-manifest.js';
+import { validateConfig } from './config-validator.js';
+import { AlignmentTool } from './alignment-tool.js';
+import { PointPairTool } from './point-pair-tool.js';
+import { TourSystem } from './tour-system.js';
+import { AnnotationSystem } from './annotation-system.js';
+import { MeasureTool } from './measure-tool.js';
+import { SnapshotTool } from './snapshot-tool.js';
+import { InputMap } from './input-map.js';
+import { GamepadInput } from './gamepad-input.js';
 import { config, isMobile } from './config.js';
 
 // Hide loading screen once scene is ready
@@ -11,13 +23,111 @@ function hideLoading() {
     document.getElementById('loading').style.display = 'none';
 }
 
-// Update loading progress
-function updateProgress(message) {
+// Update loading progress (fraction 0..1 fills the progress bar, omit to hide it)
+function updateProgress(message, fraction) {
     document.getElementById('loading-progress').textContent = message;
+
+    const bar = document.getElementById('loading-bar');
+    if (bar) {
+        bar.style.visibility = fraction === undefined ? 'hidden' : 'visible';
+        document.getElementById('loading-bar-fill').style.width = `${Math.round((fraction || 0) * 100)}%`;
+    }
+}
+
+// Show a load failure on the loading screen with a retry button
+function showLoadError(message, onRetry) {
+    updateProgress(message);
+
+    const progress = document.getElementById('loading-progress');
+    const retryBtn = document.createElement('button');
+    retryBtn.id = 'loading-retry';
+    retryBtn.textContent = '↻ Retry';
+    retryBtn.addEventListener('click', () => {
+        retryBtn.remove();
+        onRetry();
+    });
+    progress.appendChild(document.createElement('br'));
+    progress.appendChild(retryBtn);
+}
+
+// Keep the loading screen up until the first view of a capture has streamed in
+function hideLoadingWhenStreamed(app, timeToggleSystem) {
+    const timeId = timeToggleSystem.getActiveTimeId();
+    const time = timeToggleSystem.times.find(t => t.id === timeId);
+    const label = time?.label || timeId;
+    const startTime = performance.now();
+    let shownError = null;
+
+    const check = () => {
+        const progress = timeToggleSystem.getLoadProgress(timeId);
+
+        // Nothing requested at all after a while (e.g. camera outside the scene) also counts as done
+        const nothingWanted = progress.state === 'loaded' && progress.loaded + progress.pending + progress.failed === 0 &&
+            performance.now() - startTime > 5000;
+
+        // Without chunk tracking there is nothing to wait for once the capture has loaded
+        if (progress.complete || progress.unknown || nothingWanted) {
+            app.off('update', check);
+            hideLoading();
+        } else if (progress.error) {
+            if (progress.error !== shownError) {
+                shownError = progress.error;
+                showLoadError(`Error loading ${label}: ${progress.error}`, () => {
+                    shownError = null;
+                    timeToggleSystem.retryLoad(timeId);
+                });
+            }
+        } else {
+            shownError = null;
+            updateProgress(`Streaming ${label}: ${progress.loaded} / ${progress.totalChunks || '?'} chunks`, progress.fraction);
+        }
+    };
+
+    app.on('update', check);
+}
+
+// Show config problems on the loading screen instead of a black screen
+function showConfigErrors(errors) {
+    const progress = document.getElementById('loading-progress');
+    progress.innerHTML = '';
+    progress.style.cssText = 'color: #f66; text-align: left; max-width: 640px; font-size: 14px; line-height: 1.5;';
+
+    const heading = document.createElement('div');
+    heading.style.cssText = 'font-weight: bold; margin-bottom: 8px;';
+    heading.textContent = `Scene configuration has ${errors.length} problem${errors.length === 1 ? '' : 's'}:`;
+    progress.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.style.cssText = 'padding-left: 20px; color: #ddd;';
+    errors.forEach((error) => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+    });
+    progress.appendChild(list);
 }
 
 // Wait for Ammo.js to initialize before starting PlayCanvas
 async function initializeApp() {
+    // Scene data from a JSON manifest (?scene=...) overrides the config.js defaults
+    updateProgress('Loading scene...');
+    try {
+        await loadSceneManifest(config);
+    } catch (err) {
+        console.error('Error loading scene manifest:', err);
+        updateProgress(err.message);
+        return;
+    }
+
+    // Validate before any system starts
+    const { errors, warnings } = validateConfig(config);
+    warnings.forEach(warning => console.warn('Config:', warning));
+    if (errors.length > 0) {
+        console.error('Config errors:', errors);
+        showConfigErrors(errors);
+        return;
+    }
+
     updateProgress('Initializing physics engine...');
 
     // Wait for Ammo.js WASM to initialize
@@ -83,12 +193,23 @@ async function initializeApp() {
         console.warn('Could not read scene positions from localStorage:', e);
     }
 
-    const startPosition = spawnOverride
-        ? new pc.Vec3(spawnOverride.x, spawnOverride.y, spawnOverride.z)
-        : new pc.Vec3(config.startPosition.x, config.startPosition.y, config.startPosition.z);
-    const startRotation = spawnOverride && spawnOverride.pitch !== undefined
-        ? new pc.Vec3(spawnOverride.pitch, spawnOverride.yaw, 0)
-        : new pc.Vec3(config.startRotation.x, config.startRotation.y, config.startRotation.z);
+    // Shared view link in the URL hash takes precedence over the saved position
+    const urlStateEnabled = !config.urlState || config.urlState.enabled !== false;
+    const urlView = urlStateEnabled ? readViewState() : null;
+    if (urlView) {
+        console.log('Restoring view from URL:', urlView);
+    }
+
+    const startPosition = urlView && urlView.position
+        ? new pc.Vec3(urlView.position.x, urlView.position.y, urlView.position.z)
+        : spawnOverride
+            ? new pc.Vec3(spawnOverride.x, spawnOverride.y, spawnOverride.z)
+            : new pc.Vec3(config.startPosition.x, config.startPosition.y, config.startPosition.z);
+    const startRotation = urlView && urlView.pitch !== undefined
+        ? new pc.Vec3(urlView.pitch, urlView.yaw, 0)
+        : spawnOverride && spawnOverride.pitch !== undefined
+            ? new pc.Vec3(spawnOverride.pitch, spawnOverride.yaw, 0)
+            : new pc.Vec3(config.startRotation.x, config.startRotation.y, config.startRotation.z);
 
     // Create Portal layer that renders AFTER gsplat (World Transparent)
     // This ensures the portal orb always renders on top of the gaussian splat
@@ -115,8 +236,13 @@ async function initializeApp() {
     camera.setEulerAngles(startRotation);
     app.root.addChild(camera);
 
+    // Keyboard actions (rebindable via config.input.bindings, ? lists them)
+    const inputMap = new InputMap(config);
+
+    // Gamepad: sticks and triggers polled in the update loop, buttons fire input map actions
+    const gamepadInput = new GamepadInput(config, inputMap);
+
     // Movement state
-    const keys = {};
     const moveSpeed = config.moveSpeed;
     const maxMoveSpeed = config.maxMoveSpeed;
     const turnSpeed = config.turnSpeed;
@@ -359,83 +485,100 @@ async function initializeApp() {
         setupMobileControls();
     }
 
-    // Keyboard events
-    window.addEventListener('keydown', (e) => {
-        if (!e.repeat) {
-            keys[e.code] = true;
-        }
+    // Keyboard actions
+    inputMap.on('view.reset', () => {
+        camera.setPosition(startPosition);
+        camera.setEulerAngles(startRotation);
+        pitch = startRotation.x;
+        yaw = startRotation.y;
+    });
 
-        // Reset position (R key)
-        if (e.key === 'r' || e.key === 'R') {
-            camera.setPosition(startPosition);
-            camera.setEulerAngles(startRotation);
-            pitch = startRotation.x;
-            yaw = startRotation.y;
+    // Toggle position readout - works anytime
+    inputMap.on('ui.position', () => {
+        const posEl = document.getElementById('pos');
+        const rotEl = document.getElementById('rot');
+        if (posEl && rotEl) {
+            const isVisible = posEl.style.display === 'block';
+            posEl.style.display = isVisible ? 'none' : 'block';
+            rotEl.style.display = isVisible ? 'none' : 'block';
         }
+    });
 
-        // Toggle debug panel (U key) - works anytime
-        if (e.key === 'u' || e.key === 'U') {
-            const posEl = document.getElementById('pos');
-            const rotEl = document.getElementById('rot');
-            if (posEl && rotEl) {
-                const isVisible = posEl.style.display === 'block';
-                posEl.style.display = isVisible ? 'none' : 'block';
-                rotEl.style.display = isVisible ? 'none' : 'block';
-            }
-        }
+    // Immersive mode: same as the hide-UI button
+    inputMap.on('ui.hide', () => {
+        const hideUiBtn = document.getElementById('hide-ui-btn');
+        if (hideUiBtn) hideUiBtn.click();
+    });
 
-        // DEBUG KEYBOARD SHORTCUTS (F, V, C, B keys - only in debug mode)
-        if (config.debug) {
-            // Toggle wall editor (F key)
-            if (e.key === 'f' || e.key === 'F') {
-                wallEditor.toggleEditor();
-            }
+    // DEBUG SHORTCUTS (only registered with ?debug=true)
+    inputMap.on('debug.editor', () => wallEditor.toggleEditor());
+    inputMap.on('debug.collisionMesh', () => collisionSystem.toggleVisibility());
+    inputMap.on('debug.collision', () => collisionSystem.toggleCollision());
+    inputMap.on('debug.walls', () => {
+        wallCollisionEnabled = !wallCollisionEnabled;
+        console.log('Wall collision:', wallCollisionEnabled ? 'ENABLED' : 'DISABLED');
+    });
 
-            // Wall Editor controls
-            if (wallEditor.active) {
-                if (e.key === 'g' || e.key === 'G') wallEditor.setMode('move');
-                if (e.key === 'n' || e.key === 'N') wallEditor.setMode('add');
-                if (e.key === 't' || e.key === 'T') wallEditor.setMode('split');
-                if (e.key === 'x' || e.key === 'X') wallEditor.setMode('delete');
-                if (e.key === 'p' || e.key === 'P') wallEditor.saveWalls();
-
-                // Space key to place node in Add mode
-                if (e.key === ' ' || e.code === 'Space') {
-                    if (wallEditor.mode === 'add') {
-                        e.preventDefault();
-                        wallEditor.placeNodeAtCamera();
-                    }
-                }
-            }
-            // Toggle collision mesh visibility (V key)
-            if (e.key === 'v' || e.key === 'V') {
-                collisionSystem.toggleVisibility();
-            }
+    // Wall Editor controls (editor context: only while the editor is open)
+    inputMap.setContext('editor', () => wallEditor.active);
+    inputMap.on('editor.move', () => wallEditor.setMode('move'));
+    inputMap.on('editor.add', () => wallEditor.setMode('add'));
+    inputMap.on('editor.split', () => wallEditor.setMode('split'));
+    inputMap.on('editor.delete', () => wallEditor.setMode('delete'));
+    inputMap.on('editor.save', () => wallEditor.saveWalls());
+    inputMap.on('editor.cancel', () => wallEditor.cancelAction());
+    inputMap.on('editor.place', () => {
+        if (wallEditor.mode === 'add') wallEditor.placeNodeAtCamera();
+    });
 
-            // Toggle collision detection (C key)
-            if (e.key === 'c' || e.key === 'C') {
-                collisionSystem.toggleCollision();
-            }
+    // Pointer-lock look (config.mouseLook.pointerLock): click captures the mouse, Esc releases
+    const mouseLook = config.mouseLook || {};
+    const pointerLockEnabled = !!mouseLook.pointerLock && 'requestPointerLock' in canvas;
+    const isPointerLocked = () => document.pointerLockElement === canvas;
 
-            // Toggle wall collision (B key)
-            if (e.key === 'b' || e.key === 'B') {
-                wallCollisionEnabled = !wallCollisionEnabled;
-                console.log('Wall collision:', wallCollisionEnabled ? 'ENABLED' : 'DISABLED');
-            }
-        }
-    });
+    // Tools that pick points with the cursor need it back
+    const clickToolActive = () => wallEditor.active || (pointPairTool && pointPairTool.active) || measureTool.active;
 
-    window.addEventListener('keyup', (e) => {
-        keys[e.code] = false;
-    });
+    if (pointerLockEnabled) {
+        document.addEventListener('pointerlockchange', () => {
+            const locked = isPointerLocked();
+            console.log('Pointer lock:', locked ? 'ON' : 'OFF');
+            isMouseDown = false;
+            if (!locked) return;
+
+            const feedback = document.createElement('div');
+            feedback.textContent = 'Move the mouse to look around · Esc to release';
+            feedback.style.cssText = `
+                position: fixed; top: 20%; left: 50%; transform: translate(-50%, -50%);
+                background: rgba(0, 0, 0, 0.7); color: #fff; padding: 10px 20px;
+                border-radius: 5px; font-weight: bold; pointer-events: none; z-index: 2000;
+            `;
+            document.body.appendChild(feedback);
+            setTimeout(() => feedback.remove(), 2000);
+        });
+        document.addEventListener('pointerlockerror', () => {
+            console.warn('Pointer lock was refused by the browser (try clicking again)');
+        });
+    }
 
     // Mouse look controls
     canvas.addEventListener('mousedown', (e) => {
+        // Captured mouse: movement alone looks around
+        if (isPointerLocked()) return;
+
         if (e.button === 0) {
             // Left click
             if (wallEditor.active) {
                 // Wall editor: handle click for editing
                 wallEditor.handleClick(e);
+            } else if (pointPairTool && pointPairTool.active) {
+                // Point-pair alignment: pick a point on the visible capture
+                pointPairTool.handleClick(e);
+            } else if (measureTool.active) {
+                // Measurement: pick a point on the collision mesh
+                measureTool.handleClick(e);
+            } else if (pointerLockEnabled) {
+                canvas.requestPointerLock();
             } else {
                 // Normal camera rotation
                 isMouseDown = true;
@@ -460,7 +603,14 @@ async function initializeApp() {
     });
 
     window.addEventListener('mousemove', (e) => {
-        if (isMouseDown) {
+        if (isPointerLocked()) {
+            const sensitivity = turnSpeed * 50 * (mouseLook.sensitivity ?? 1);
+            yaw -= e.movementX * sensitivity;
+            pitch -= e.movementY * sensitivity * (mouseLook.invertY ? -1 : 1);
+            pitch = pc.math.clamp(pitch, -85, 85);
+
+            camera.setEulerAngles(pitch, yaw, 0);
+        } else if (isMouseDown) {
             const deltaX = e.clientX - mouseX;
             const deltaY = e.clientY - mouseY;
 
@@ -505,6 +655,10 @@ async function initializeApp() {
 
     // Initialize Time Toggle System for multi-temporal splat loading
     let timeToggleSystem = null;
+    let splitViewSystem = null;
+    let alignmentTool = null;
+    let pointPairTool = null;
+    let snapshotTool = null;
 
     // Initialize Portal System for inter-scene navigation
     let portalSystem = null;
@@ -513,6 +667,11 @@ async function initializeApp() {
     const collisionSystem = new CollisionSystem(app, camera);
     collisionSystem.loadCollisionMesh(config.collisionMesh || './collision.glb');
 
+    // Per-time collision meshes (time states without one use the shared mesh)
+    if (config.timeToggle && config.timeToggle.enabled) {
+        collisionSystem.registerTimeMeshes(config.timeToggle.times, config.timeToggle.transforms);
+    }
+
     // Show collision mesh if configured
     if (config.showColliders) {
         // Wait for mesh to load then toggle
@@ -528,33 +687,85 @@ async function initializeApp() {
 
         timeToggleSystem = new TimeToggleSystem(app, config);
 
-        timeToggleSystem.initialize().then((splatEntity) => {
-            console.log('Time Toggle System initialized, active splat:', splatEntity.name);
+        // Swap colliders and wall boundaries to match the visible capture
+        timeToggleSystem.on('switch:end', (timeId) => {
+            collisionSystem.setActiveTime(timeId);
+            setActiveWallSet(timeId);
+            wallEditor.updateWallList();
+        });
 
-            // Apply LOD distances to active splat
-            const gs = splatEntity.gsplat;
-            if (gs) {
-                gs.lodDistances = selectedPreset.lodDistances;
+        // Time and comparison endpoints from a shared link
+        if (urlView) {
+            if (urlView.time && timeToggleSystem.times.some(t => t.id === urlView.time)) {
+                timeToggleSystem.activeTimeId = urlView.time;
+            }
+            if (urlView.endpoints) {
+                timeToggleSystem.setEndpoints(urlView.endpoints[0], urlView.endpoints[1]);
             }
+        }
 
-            // Set up keyboard shortcuts for time toggle
-            window.addEventListener('keydown', (e) => {
-                if (e.code === 'BracketLeft' || e.code === 'BracketRight') {
-                    timeToggleSystem.handleKeyboard(e.code);
+        // Retried from the loading screen if the first capture fails to load
+        const startTimeToggle = () => {
+            timeToggleSystem.initialize().then((splatEntity) => {
+                collisionSystem.setActiveTime(timeToggleSystem.getActiveTimeId());
+                setActiveWallSet(timeToggleSystem.getActiveTimeId());
+                console.log('Time Toggle System initialized, active splat:', splatEntity.name);
+
+                // Apply LOD distances to active splat
+                const gs = splatEntity.gsplat;
+                if (gs) {
+                    gs.lodDistances = selectedPreset.lodDistances;
                 }
-            });
 
-            // Initialize Portal System after splat is loaded
-            if (config.portal && config.portal.enabled) {
-                portalSystem = new PortalSystem(app, camera, config, portalLayer);
-                console.log('Portal System initialized (with Portal layer for gsplat overlay)');
-            }
+                // Alignment tuning for any capture (T key)
+                alignmentTool = new AlignmentTool(app, camera, timeToggleSystem, config);
+                alignmentTool.bindInput(inputMap);
 
-            hideLoading();
-        }).catch((err) => {
-            console.error('Error initializing Time Toggle System:', err);
-            updateProgress('Error loading splat: ' + err);
-        });
+                // Point-pair alignment between two captures (K key)
+                pointPairTool = new PointPairTool(app, camera, timeToggleSystem, config);
+
+                // Split view comparison between the two endpoints
+                if (config.timeToggle.splitView && config.timeToggle.splitView.enabled) {
+                    splitViewSystem = new SplitViewSystem(app, camera, timeToggleSystem, config);
+                    splitViewSystem.createUI();
+
+                    // Expose divider control for external UI / automation
+                    window.setSplitViewPosition = (position) => splitViewSystem.setPosition(position);
+
+                    // Re-render the comparison when the timeline endpoints change
+                    timeToggleSystem.on('endpoints:change', () => splitViewSystem.refreshEndpoints());
+                }
+
+                // Same-viewpoint stills of every time (📷 button)
+                if (!config.timeToggle.snapshot || config.timeToggle.snapshot.enabled !== false) {
+                    snapshotTool = new SnapshotTool(app, camera, timeToggleSystem, config);
+                    snapshotTool.createUI();
+                }
+
+                // Keyboard shortcuts for time toggle
+                inputMap.on('time.prev', () => timeToggleSystem.stepTime(-1));
+                inputMap.on('time.next', () => timeToggleSystem.stepTime(1));
+                inputMap.on('time.split', () => {
+                    if (splitViewSystem) splitViewSystem.toggle();
+                });
+
+                // Initialize Portal System after splat is loaded
+                if (config.portal && config.portal.enabled) {
+                    portalSystem = new PortalSystem(app, camera, config, portalLayer);
+                    console.log('Portal System initialized (with Portal layer for gsplat overlay)');
+                }
+
+                hideLoadingWhenStreamed(app, timeToggleSystem);
+            }).catch((err) => {
+                console.error('Error initializing Time Toggle System:', err);
+                showLoadError('Error loading splat: ' + err, () => {
+                    updateProgress('Retrying...');
+                    startTimeToggle();
+                });
+            });
+        };
+
+        startTimeToggle();
     } else {
         // Fallback: load single splat (original behavior)
         updateProgress('Loading Gaussian Splat...');
@@ -598,19 +809,56 @@ async function initializeApp() {
         app.assets.load(asset);
     }
 
+    // Camera tours: record keyframes while moving, play them back (Y opens the panel)
+    const tourSystem = new TourSystem(app, camera, timeToggleSystem, config, {
+        getPose: () => ({ position: camera.getPosition(), pitch, yaw }),
+        setPose: (position, newPitch, newYaw) => {
+            camera.setPosition(position);
+            pitch = newPitch;
+            yaw = newYaw;
+            camera.setEulerAngles(pitch, yaw, 0);
+        }
+    });
+    if (config.tour && config.tour.url) {
+        tourSystem.loadTour(config.tour.url);
+    }
+
+    tourSystem.bindInput(inputMap);
+
+    // Annotations: hotspots whose text can differ per time (I places one in debug mode)
+    const annotationSystem = new AnnotationSystem(app, camera, timeToggleSystem, config);
+    if (config.annotations && config.annotations.url) {
+        annotationSystem.load(config.annotations.url);
+    }
+
+    inputMap.on('debug.annotation', () => annotationSystem.placeAtCamera());
+
+    // Measurement tool (Z key): distances, heights and polylines, compared across times
+    const measureTool = new MeasureTool(app, camera, collisionSystem, timeToggleSystem, config);
+    measureTool.bindInput(inputMap);
+    inputMap.on('tools.measure', () => measureTool.toggle());
+
     // Load wall configuration
     async function loadWalls() {
         try {
-            const response = await fetch('./wall_config.json');
+            const response = await fetch(config.wallConfig || './wall_config.json');
             if (!response.ok) throw new Error('Failed to load wall config');
 
             const data = await response.json();
-            if (data.segments) {
+            if (data.segments || data.times) {
                 clearAllWalls();
-                data.segments.forEach(segment => {
+                (data.segments || []).forEach(segment => {
                     addWallSegment(segment.start, segment.end, segment.name, segment.color);
                 });
-                console.log('Loaded walls from config:', data.segments.length);
+
+                // Per-time wall sets: { times: { timeId: [segments] } }
+                Object.entries(data.times || {}).forEach(([timeId, segments]) => {
+                    segments.forEach(segment => {
+                        addWallSegment(segment.start, segment.end, segment.name, segment.color, timeId);
+                    });
+                });
+                console.log('Loaded walls from config:', (data.segments || []).length, 'shared,',
+                    Object.keys(data.times || {}).length, 'time sets');
 
                 // Update editor if active
                 if (wallEditor) wallEditor.updateWallList();
@@ -623,12 +871,93 @@ async function initializeApp() {
     loadWalls();
 
     // Fly Mode state
-    let flyMode = false;
+    let flyMode = urlView && urlView.flyMode !== undefined ? urlView.flyMode : false;
+
+    // Keep the URL hash in sync with the view (written once the view is idle)
+    if (urlStateEnabled) {
+        const viewStateUrl = new ViewStateUrl(() => ({
+            position: camera.getPosition(),
+            pitch,
+            yaw,
+            time: timeToggleSystem ? timeToggleSystem.getActiveTimeId() : undefined,
+            endpoints: timeToggleSystem ? [timeToggleSystem.leftEndpoint, timeToggleSystem.rightEndpoint] : undefined,
+            flyMode
+        }), config.urlState ? config.urlState.idleDelay : undefined);
+
+        app.on('update', () => viewStateUrl.update());
+
+        // Apply links pasted into the address bar of an already open viewer
+        window.addEventListener('hashchange', () => {
+            const view = readViewState();
+            if (!view) return;
+
+            if (view.position) {
+                camera.setPosition(view.position.x, view.position.y, view.position.z);
+            }
+            if (view.pitch !== undefined) {
+                pitch = view.pitch;
+                yaw = view.yaw;
+                camera.setEulerAngles(pitch, yaw, 0);
+            }
+            if (view.flyMode !== undefined) {
+                flyMode = view.flyMode;
+            }
+            if (timeToggleSystem) {
+                if (view.endpoints) {
+                    timeToggleSystem.setEndpoints(view.endpoints[0], view.endpoints[1]);
+                }
+                // Same check as at startup: a mistyped id in a pasted link is ignored
+                if (view.time && timeToggleSystem.times.some(t => t.id === view.time)) {
+                    timeToggleSystem.switchToTime(view.time);
+                } else if (view.time) {
+                    console.warn('Unknown time in URL, ignoring:', view.time);
+                }
+            }
+
+            viewStateUrl.markApplied();
+            console.log('Applied view from URL:', view);
+        });
+    }
+
+    // Ground following in walk mode (config.walk): keep eyeHeight above the collision mesh,
+    // climb steps up to maxStepHeight, fall off anything higher. Q/E then change eyeHeight.
+    // Without a mesh (or nothing below), walk mode keeps the camera height where it is.
+    const walk = config.walk || {};
+    const maxStepHeight = walk.maxStepHeight ?? 0.35;
+    const gravity = walk.gravity ?? 9.81;
+    const maxEyeHeight = walk.maxEyeHeight ?? 3;
+    let eyeHeight = Math.min(walk.eyeHeight ?? 1.6, maxEyeHeight);
+    let fallSpeed = 0;
+
+    const GROUND_PROBE_DEPTH = 100;  // Meters below the eye to look for ground
+    const STEP_SMOOTHING = 12;       // Rate the camera eases onto a new ground height (1/s)
+    const MIN_EYE_HEIGHT = 0.2;
 
     // Movement update loop
     app.on('update', (dt) => {
+        // Opening a picking tool (wall editor, point pairs, measure) hands the cursor back
+        if (pointerLockEnabled && isPointerLocked() && clickToolActive()) {
+            document.exitPointerLock();
+        }
+
+        const pad = gamepadInput.poll();
+
+        // Sticks take over from a playing tour, like movement keys do
+        if (pad.active && tourSystem.isPlaying()) {
+            tourSystem.pause();
+        }
+
+        // Gamepad look (right stick), degrees per second at full deflection
+        if (pad.lookX !== 0 || pad.lookY !== 0) {
+            yaw -= pad.lookX * gamepadInput.lookSensitivity * dt;
+            pitch -= pad.lookY * gamepadInput.lookSensitivity * dt;
+            pitch = pc.math.clamp(pitch, -85, 85);
+            camera.setEulerAngles(pitch, yaw, 0);
+        }
+
         // Scale speed by dt for frame-rate independent movement
-        const moveSpeedDt = (keys['ShiftLeft'] ? maxMoveSpeed : moveSpeed) * dt * 60; // * 60 to maintain relative speed tuning
+        const sprint = inputMap.isHeld('move.sprint') || pad.sprint;
+        const moveSpeedDt = (sprint ? maxMoveSpeed : moveSpeed) * dt * 60; // * 60 to maintain relative speed tuning
 
         const forward = camera.forward.clone();
         const right = camera.right.clone();
@@ -645,16 +974,16 @@ async function initializeApp() {
         const newPos = currentPos.clone();
 
         // Keyboard movement
-        if (keys['KeyW']) {
+        if (inputMap.isHeld('move.forward')) {
             newPos.add(forward.clone().mulScalar(moveSpeedDt));
         }
-        if (keys['KeyS']) {
+        if (inputMap.isHeld('move.back')) {
             newPos.sub(forward.clone().mulScalar(moveSpeedDt));
         }
-        if (keys['KeyA']) {
+        if (inputMap.isHeld('move.left')) {
             newPos.sub(right.clone().mulScalar(moveSpeedDt));
         }
-        if (keys['KeyD']) {
+        if (inputMap.isHeld('move.right')) {
             newPos.add(right.clone().mulScalar(moveSpeedDt));
         }
 
@@ -664,41 +993,91 @@ async function initializeApp() {
             newPos.add(right.clone().mulScalar(moveSpeedDt * movement.right));
         }
 
+        // Gamepad movement (left stick)
+        if (pad.forward !== 0 || pad.right !== 0) {
+            newPos.add(forward.clone().mulScalar(moveSpeedDt * pad.forward));
+            newPos.add(right.clone().mulScalar(moveSpeedDt * pad.right));
+        }
+
         // Vertical movement
+        let ground = null;  // Ground height below the camera while ground following
         if (flyMode) {
-            // In fly mode, Q/E move up/down relative to world
-            if (keys['KeyQ']) newPos.y = Math.min(newPos.y + moveSpeedDt, config.maxY);
-            if (keys['KeyE']) newPos.y -= moveSpeedDt;
+            // In fly mode, up/down (Q/E) move relative to world
+            if (inputMap.isHeld('move.up')) newPos.y = Math.min(newPos.y + moveSpeedDt, config.maxY);
+            if (inputMap.isHeld('move.down')) newPos.y -= moveSpeedDt;
+
+            // Gamepad triggers: right up, left down (analog)
+            if (pad.up > 0) newPos.y = Math.min(newPos.y + moveSpeedDt * pad.up, config.maxY);
+            if (pad.down > 0) newPos.y -= moveSpeedDt * pad.down;
         } else {
-            // In walk mode, Q/E are debug height adjustments (optional)
-            if (keys['KeyQ'] || movement.up) newPos.y = Math.min(newPos.y + moveSpeedDt * 0.5, config.maxY);
-            if (keys['KeyE'] || movement.down) newPos.y -= moveSpeedDt * 0.5;
+            // Tours and snapshot captures own the camera height while they run
+            const followGround = walk.groundFollow !== false &&
+                !tourSystem.isPlaying() && !(snapshotTool && snapshotTool.busy);
+            ground = followGround ? collisionSystem.findGround(newPos, GROUND_PROBE_DEPTH) : null;
+            const up = inputMap.isHeld('move.up') || movement.up;
+            const down = inputMap.isHeld('move.down') || movement.down;
+
+            if (ground !== null && ground - (currentPos.y - eyeHeight) > maxStepHeight &&
+                (newPos.x !== currentPos.x || newPos.z !== currentPos.z)) {
+                // Too high to step onto: stop like at a wall (gravity still applies)
+                newPos.x = currentPos.x;
+                newPos.z = currentPos.z;
+                smoothMovement.forward = 0;
+                smoothMovement.right = 0;
+                ground = collisionSystem.findGround(newPos, GROUND_PROBE_DEPTH);
+            }
+
+            if (ground === null) {
+                // In walk mode, up/down (Q/E) are debug height adjustments (optional)
+                if (up) newPos.y = Math.min(newPos.y + moveSpeedDt * 0.5, config.maxY);
+                if (down) newPos.y -= moveSpeedDt * 0.5;
+                fallSpeed = 0;
+            } else {
+                // Up/down (Q/E) raise or lower the eye instead
+                if (up) eyeHeight = Math.min(eyeHeight + moveSpeedDt * 0.5, maxEyeHeight);
+                if (down) eyeHeight = Math.max(eyeHeight - moveSpeedDt * 0.5, MIN_EYE_HEIGHT);
+            }
         }
 
         // Check for collision before applying movement
         // Disable collision in Fly Mode for easier editing
         if (!flyMode) {
-            // 1. Physics Collision (Mesh)
-            if (collisionSystem.checkCollision(currentPos, newPos)) {
+            const blocked =
+                // 1. Physics Collision (Mesh)
+                collisionSystem.checkCollision(currentPos, newPos) ||
+                // 2. Virtual Wall Boundary Collision (we just stop for now, could implement sliding here later)
+                (wallCollisionEnabled && checkWallCollision(currentPos, newPos)) ||
+                // 3. Portal Collision (can't walk through portal)
+                (portalSystem && portalSystem.checkMovementBlocked(currentPos, newPos));
+
+            if (blocked) {
                 // Reset smooth movement on collision (prevents mobile joystick drift)
                 smoothMovement.forward = 0;
                 smoothMovement.right = 0;
-                return;
-            }
+                if (ground === null) return;
 
-            // 2. Virtual Wall Boundary Collision
-            if (wallCollisionEnabled && checkWallCollision(currentPos, newPos)) {
-                smoothMovement.forward = 0;
-                smoothMovement.right = 0;
-                // For virtual walls, we just stop for now (could implement sliding here too later)
-                return;
+                // Ground following: only the horizontal move is cancelled, falling and
+                // step easing below carry on
+                newPos.x = currentPos.x;
+                newPos.z = currentPos.z;
+                ground = collisionSystem.findGround(newPos, GROUND_PROBE_DEPTH);
             }
+        }
 
-            // 3. Portal Collision (can't walk through portal)
-            if (portalSystem && portalSystem.checkMovementBlocked(currentPos, newPos)) {
-                smoothMovement.forward = 0;
-                smoothMovement.right = 0;
-                return;
+        // Ground following: ease onto steps and slopes, fall off ledges
+        if (ground !== null) {
+            const targetY = ground + eyeHeight;
+            if (fallSpeed > 0 || targetY < currentPos.y - maxStepHeight) {
+                // Walked off a ledge: fall until the feet reach the ground
+                fallSpeed += gravity * dt;
+                newPos.y = currentPos.y - fallSpeed * dt;
+                if (newPos.y <= targetY) {
+                    newPos.y = targetY;
+                    fallSpeed = 0;
+                }
+            } else {
+                // Steps and slopes: ease onto the new height
+                newPos.y = currentPos.y + (targetY - currentPos.y) * Math.min(1, dt * STEP_SMOOTHING);
             }
         }
 
@@ -724,147 +1103,84 @@ async function initializeApp() {
     });
 
     // Test runtime LOD change (L key)
-    window.addEventListener('keydown', (e) => {
-        if (e.key === 'l' || e.key === 'L') {
-            const currentLod = app.scene.gsplat.lodRangeMin;
-            const newLod = (currentLod + 1) % 6;
-            app.scene.gsplat.lodRangeMin = newLod;
-            console.log('LOD changed:', currentLod, '→', newLod);
-
-            // Visual feedback
-            const feedback = document.createElement('div');
-            feedback.textContent = `LOD: ${newLod}`;
-            feedback.style.cssText = `
-                position: fixed;
-                top: 20%;
-                left: 50%;
-                transform: translate(-50%, -50%);
-                background: rgba(0, 0, 0, 0.7);
-                color: #fff;
-                padding: 10px 20px;
-                border-radius: 5px;
-                font-weight: bold;
-                pointer-events: none;
-                z-index: 2000;
-            `;
-            document.body.appendChild(feedback);
-            setTimeout(() => feedback.remove(), 1000);
-
-            // Sync panel if it exists
-            if (window.setLodPanelValue) {
-                window.setLodPanelValue(newLod);
-            }
+    inputMap.on('lod.next', () => {
+        const currentLod = app.scene.gsplat.lodRangeMin;
+        const newLod = (currentLod + 1) % 6;
+        app.scene.gsplat.lodRangeMin = newLod;
+        console.log('LOD changed:', currentLod, '→', newLod);
+
+        // Visual feedback
+        const feedback = document.createElement('div');
+        feedback.textContent = `LOD: ${newLod}`;
+        feedback.style.cssText = `
+            position: fixed;
+            top: 20%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            background: rgba(0, 0, 0, 0.7);
+            color: #fff;
+            padding: 10px 20px;
+            border-radius: 5px;
+            font-weight: bold;
+            pointer-events: none;
+            z-index: 2000;
+        `;
+        document.body.appendChild(feedback);
+        setTimeout(() => feedback.remove(), 1000);
+
+        // Sync panel if it exists
+        if (window.setLodPanelValue) {
+            window.setLodPanelValue(newLod);
         }
     });
 
     // Toggle Fly Mode (O key)
-    window.addEventListener('keydown', (e) => {
-        if (e.key === 'o' || e.key === 'O') {
-            flyMode = !flyMode;
-            console.log('Fly Mode:', flyMode ? 'ENABLED' : 'DISABLED');
-
-            // Visual feedback
-            const feedback = document.createElement('div');
-            feedback.textContent = flyMode ? 'FLY MODE' : 'WALK MODE';
-            feedback.style.cssText = `
-                position: fixed;
-                top: 20%;
-                left: 50%;
-                transform: translate(-50%, -50%);
-                background: rgba(0, 0, 0, 0.7);
-                color: #fff;
-                padding: 10px 20px;
-                border-radius: 5px;
-                font-weight: bold;
-                pointer-events: none;
-                z-index: 2000;
-            `;
-            document.body.appendChild(feedback);
-            setTimeout(() => feedback.remove(), 1000);
-        }
+    inputMap.on('view.fly', () => {
+        flyMode = !flyMode;
+        fallSpeed = 0;
+        console.log('Fly Mode:', flyMode ? 'ENABLED' : 'DISABLED');
+
+        // Visual feedback
+        const feedback = document.createElement('div');
+        feedback.textContent = flyMode ? 'FLY MODE' : 'WALK MODE';
+        feedback.style.cssText = `
+            position: fixed;
+            top: 20%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            background: rgba(0, 0, 0, 0.7);
+            color: #fff;
+            padding: 10px 20px;
+            border-radius: 5px;
+            font-weight: bold;
+            pointer-events: none;
+            z-index: 2000;
+        `;
+        document.body.appendChild(feedback);
+        setTimeout(() => feedback.remove(), 1000);
     });
 
-    // Alignment adjustment mode (T key to toggle, then numpad to adjust)
-    // Only active when timeToggle is enabled - for ICP alignment tuning
-    let alignmentMode = false;
-    let alignOffset = { x: 0, y: 0, z: 0 };
-    let alignRotY = 0;
-
-    window.addEventListener('keydown', (e) => {
-        // Only enable alignment mode for time toggle scenes
-        if (!timeToggleSystem) return;
+    // Alignment tuning mode (T key to toggle, then numpad to adjust)
+    // Only active when timeToggle is enabled - for hand-correcting ICP alignment
+    inputMap.on('tools.alignment', () => {
+        if (!alignmentTool) return;
+
+        const enabled = alignmentTool.toggle();
+        const feedback = document.createElement('div');
+        feedback.textContent = enabled ? 'ALIGNMENT MODE ON' : 'ALIGNMENT MODE OFF';
+        feedback.style.cssText = `
+            position: fixed; top: 30%; left: 50%; transform: translate(-50%, -50%);
+            background: ${enabled ? 'rgba(255, 100, 0, 0.9)' : 'rgba(0, 0, 0, 0.7)'};
+            color: #fff; padding: 15px 25px; border-radius: 5px; font-weight: bold;
+            pointer-events: none; z-index: 2000; white-space: pre-line; text-align: center;
+        `;
+        document.body.appendChild(feedback);
+        setTimeout(() => feedback.remove(), 2000);
+    });
 
-        // T key toggles alignment mode
-        if (e.key === 't' || e.key === 'T') {
-            alignmentMode = !alignmentMode;
-            const feedback = document.createElement('div');
-            feedback.textContent = alignmentMode ? 'ALIGNMENT MODE ON\n4/6=X, 2/8=Z, -/+=Y, 7/9=Rot' : 'ALIGNMENT MODE OFF';
-            feedback.style.cssText = `
-                position: fixed; top: 30%; left: 50%; transform: translate(-50%, -50%);
-                background: ${alignmentMode ? 'rgba(255, 100, 0, 0.9)' : 'rgba(0, 0, 0, 0.7)'};
-                color: #fff; padding: 15px 25px; border-radius: 5px; font-weight: bold;
-                pointer-events: none; z-index: 2000; white-space: pre-line; text-align: center;
-            `;
-            document.body.appendChild(feedback);
-            setTimeout(() => feedback.remove(), 2000);
-            return;
-        }
-
-        if (!alignmentMode) return;
-
-        const step = e.shiftKey ? 0.5 : 0.1; // Shift for bigger steps
-        const rotStep = e.shiftKey ? 2 : 0.5;
-        let changed = false;
-
-        switch(e.key) {
-            case '4': alignOffset.x -= step; changed = true; break;
-            case '6': alignOffset.x += step; changed = true; break;
-            case '8': alignOffset.z -= step; changed = true; break;
-            case '2': alignOffset.z += step; changed = true; break;
-            case '-': alignOffset.y -= step; changed = true; break;
-            case '=': case '+': alignOffset.y += step; changed = true; break;
-            case '7': alignRotY -= rotStep; changed = true; break;
-            case '9': alignRotY += rotStep; changed = true; break;
-        }
-
-        if (changed && timeToggleSystem) {
-            // Get the secondary (non-primary) time state to adjust
-            const secondaryTimeId = timeToggleSystem.times.find(t => t.id !== timeToggleSystem.times[0].id)?.id;
-            const entity = timeToggleSystem.splatEntities[secondaryTimeId];
-
-            if (entity) {
-                // Build new transform with adjusted values
-                const radY = alignRotY * Math.PI / 180;
-                const cosY = Math.cos(radY), sinY = Math.sin(radY);
-
-                // Rotation matrix (Y rotation in Z-up, combined with -90 X for Y-up)
-                const zToY = new pc.Mat4();
-                zToY.setFromEulerAngles(-90, 0, 0);
-
-                const alignMat = new pc.Mat4();
-                // Simple Y-rotation + translation for testing
-                alignMat.set([
-                    cosY, sinY, 0, 0,
-                    -sinY, cosY, 0, 0,
-                    0, 0, 1, 0,
-                    alignOffset.x, alignOffset.y, alignOffset.z, 1
-                ]);
-
-                const combined = new pc.Mat4();
-                combined.copy(zToY);
-                combined.mul(alignMat);
-
-                const pos = new pc.Vec3();
-                combined.getTranslation(pos);
-                const rot = new pc.Quat();
-                rot.setFromMat4(combined);
-
-                entity.setLocalPosition(pos);
-                entity.setLocalRotation(rot);
-
-                console.log(`Align: X=${alignOffset.x.toFixed(2)}, Y=${alignOffset.y.toFixed(2)}, Z=${alignOffset.z.toFixed(2)}, RotY=${alignRotY.toFixed(1)}°`);
-            }
-        }
+    // Point-pair alignment mode (K key to toggle, then click matching features)
+    inputMap.on('tools.pointPair', () => {
+        if (pointPairTool) pointPairTool.toggle();
     });
 
     // DEBUG - Update FPS display
@@ -0,0 +1,736 @@
+/**
+ * Measurement Tool
+ *
+ * Measures distances, heights and polylines in the scene, then compares the same
+ * measurement across captures (e.g. erosion of a bank, growth of a pile).
+ *
+ * Points are picked by raycasting against the active collision mesh (CollisionSystem).
+ * Where the ray misses, the point lands on a plane facing the camera at the fallback depth.
+ * Each pick keeps its ray, so Compare can cast the same rays against every other time's
+ * collision mesh; plane points stay fixed in all times. Times without a collision mesh of
+ * their own share the scene's mesh and therefore read the same values.
+ *
+ * Measurements export as JSON (points and values per time) or CSV (one row per time).
+ */
+
+import * as pc from 'playcanvas';
+
+const TYPES = {
+    distance: { label: 'Distance', points: 2 },
+    height: { label: 'Height', points: 2 },
+    polyline: { label: 'Polyline', points: Infinity }
+};
+
+const DRAFT_COLOR = new pc.Color(0, 1, 1);
+const MEASUREMENT_COLOR = new pc.Color(1, 0.85, 0);
+const SELECTED_COLOR = new pc.Color(1, 0.4, 0.1);
+const PLANE_COLOR = new pc.Color(1, 0.3, 1);
+
+/**
+ * Readouts for a list of points (meters)
+ */
+export function measurePoints(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += points[i].distance(points[i - 1]);
+    }
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const dx = last.x - first.x;
+    const dz = last.z - first.z;
+
+    return {
+        length,
+        distance: last.distance(first),
+        height: last.y - first.y,
+        horizontal: Math.sqrt(dx * dx + dz * dz)
+    };
+}
+
+export class MeasureTool {
+    constructor(app, camera, collisionSystem, timeToggleSystem, config) {
+        this.app = app;
+        this.camera = camera;
+        this.collision = collisionSystem;
+        this.timeToggle = timeToggleSystem;
+        this.config = config.measure || {};
+
+        this.active = false;
+        this.type = 'distance';
+        this.planeDepth = this.config.planeDepth ?? 5;    // meters, fallback when the ray misses the mesh
+        this.maxDistance = this.config.maxDistance ?? 100; // meters, ray length
+
+        this.measurements = []; // [{ id, type, label, timeId, picks, resolved, labelEl }]
+        this.draft = [];        // picks of the measurement being drawn
+        this.selected = null;   // measurement shown in the compare table
+        this.nextId = 1;
+        this.pollTimer = 0;
+        this.comparePending = false; // compare table is waiting for collision meshes
+
+        // UI
+        this.panel = null;
+        this.statusEl = null;
+        this.listEl = null;
+        this.compareEl = null;
+        this.finishBtn = null;
+        this.depthInput = null;
+
+        // Reusable vectors
+        this._rayStart = new pc.Vec3();
+        this._rayEnd = new pc.Vec3();
+        this._toLabel = new pc.Vec3();
+        this._screenPos = new pc.Vec3();
+
+        this._createUI();
+
+        this.app.on('update', (dt) => {
+            if (!this.active) return;
+            this._draw();
+
+            // Meshes of other times load in the background; refresh the table when they do
+            this.pollTimer += dt;
+            if (this.pollTimer >= 0.5) {
+                this.pollTimer = 0;
+                if (this.selected && this.comparePending) this._renderCompare();
+            }
+        });
+
+        // Lines follow the visible capture
+        if (this.timeToggle) {
+            this.timeToggle.on('switch:end', () => {
+                if (this.active) this._renderList();
+                if (this.selected) this._renderCompare();
+            });
+        }
+    }
+
+    /**
+     * Create the measurement panel (hidden until the tool is toggled on)
+     */
+    _createUI() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'measure-panel';
+        this.panel.style.cssText = `
+            position: fixed;
+            top: 80px;
+            right: 10px;
+            color: white;
+            font-size: 12px;
+            background: rgba(0, 0, 0, 0.8);
+            border: 1px solid rgba(255, 217, 0, 0.8);
+            backdrop-filter: blur(10px);
+            padding: 12px 15px;
+            border-radius: 8px;
+            z-index: 1001;
+            width: 280px;
+            max-height: calc(100vh - 180px);
+            overflow-y: auto;
+            display: none;
+            user-select: none;
+        `;
+
+        const title = document.createElement('strong');
+        title.textContent = '📏 Measure';
+
+        const inputStyle = `
+            background: rgba(0, 0, 0, 0.5);
+            color: white;
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            font-size: 11px;
+            padding: 2px 4px;
+        `;
+
+        const options = document.createElement('div');
+        options.style.cssText = 'display: flex; align-items: center; gap: 6px; margin-top: 8px;';
+
+        const typeSelect = document.createElement('select');
+        typeSelect.style.cssText = inputStyle;
+        Object.entries(TYPES).forEach(([type, { label }]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = label;
+            typeSelect.appendChild(option);
+        });
+        typeSelect.addEventListener('change', () => {
+            this.type = typeSelect.value;
+            this.draft = [];
+            this._updateStatus();
+        });
+
+        const depthLabel = document.createElement('label');
+        depthLabel.textContent = 'Miss depth';
+        depthLabel.title = 'Distance of the plane used when a click misses the collision mesh';
+        const depthInput = document.createElement('input');
+        depthInput.type = 'number';
+        depthInput.min = '0.1';
+        depthInput.step = '0.5';
+        depthInput.value = String(this.planeDepth);
+        depthInput.style.cssText = inputStyle + 'width: 48px;';
+        this.depthInput = depthInput;
+        depthInput.addEventListener('keydown', e => e.stopPropagation());
+        depthInput.addEventListener('change', () => {
+            const value = parseFloat(depthInput.value);
+            if (value > 0) this.planeDepth = value;
+            depthInput.value = String(this.planeDepth);
+        });
+        depthLabel.appendChild(depthInput);
+        depthLabel.style.cssText = 'display: flex; align-items: center; gap: 4px;';
+
+        options.appendChild(typeSelect);
+        options.appendChild(depthLabel);
+
+        this.statusEl = document.createElement('div');
+        this.statusEl.style.cssText = 'margin: 8px 0; color: rgba(255, 255, 255, 0.8);';
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; flex-wrap: wrap; gap: 6px;';
+        const addButton = (label, action) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.style.cssText = `
+                background: rgba(255, 255, 255, 0.15);
+                border: 1px solid rgba(255, 255, 255, 0.3);
+                border-radius: 4px;
+                color: white;
+                font-size: 11px;
+                padding: 3px 8px;
+                cursor: pointer;
+            `;
+            btn.addEventListener('click', action);
+            buttons.appendChild(btn);
+            return btn;
+        };
+        this.finishBtn = addButton('Finish', () => this.finish());
+        addButton('Undo point', () => this.undoPoint());
+        addButton('Clear all', () => this.clear());
+        addButton('Export JSON', () => this.exportJSON());
+        addButton('Export CSV', () => this.exportCSV());
+
+        this.listEl = document.createElement('div');
+        this.listEl.style.cssText = 'margin-top: 10px; display: flex; flex-direction: column; gap: 4px;';
+
+        this.compareEl = document.createElement('div');
+        this.compareEl.style.cssText = 'margin-top: 10px; display: none;';
+
+        this.panel.appendChild(title);
+        this.panel.appendChild(options);
+        this.panel.appendChild(this.statusEl);
+        this.panel.appendChild(buttons);
+        this.panel.appendChild(this.listEl);
+        this.panel.appendChild(this.compareEl);
+
+        // Keep clicks on the panel from starting a mouse look drag
+        this.panel.addEventListener('mousedown', e => e.stopPropagation());
+        document.body.appendChild(this.panel);
+
+        this._updateStatus();
+    }
+
+    /**
+     * Toggle the tool (tools.measure, Z by default)
+     * @returns {boolean} - New active state
+     */
+    toggle() {
+        this.active = !this.active;
+        this.panel.style.display = this.active ? 'block' : 'none';
+        if (this.active) {
+            this._renderList();
+        } else {
+            this.measurements.forEach(m => { m.labelEl.style.display = 'none'; });
+        }
+        console.log(`Measure tool ${this.active ? 'ON' : 'OFF'}`);
+        return this.active;
+    }
+
+    /**
+     * Register the measure-tool actions (active only while the tool is on)
+     * @param {InputMap} inputMap
+     */
+    bindInput(inputMap) {
+        inputMap.setContext('measure', () => this.active);
+        inputMap.on('measure.finish', () => this.finish());
+        inputMap.on('measure.undo', () => this.undoPoint());
+        inputMap.on('measure.cancel', () => {
+            this.draft = [];
+            this._updateStatus();
+        });
+    }
+
+    /**
+     * Pick a point under the mouse (left click while active)
+     */
+    handleClick(e) {
+        const pick = this._pick(e.clientX, e.clientY);
+        if (!pick) return;
+
+        this.draft.push(pick);
+        if (this.draft.length >= TYPES[this.type].points) {
+            this.finish();
+        } else {
+            this._updateStatus();
+        }
+    }
+
+    /**
+     * Cast a ray through a screen position: collision mesh first, then the fallback plane
+     */
+    _pick(clientX, clientY) {
+        const cam = this.camera.camera;
+        const rect = this.app.graphicsDevice.canvas.getBoundingClientRect();
+        const x = clientX - rect.left;
+        const y = clientY - rect.top;
+
+        cam.screenToWorld(x, y, cam.nearClip, this._rayStart);
+        cam.screenToWorld(x, y, cam.farClip, this._rayEnd);
+
+        const origin = this._rayStart.clone();
+        const direction = this._rayEnd.clone().sub(origin).normalize();
+        const end = direction.clone().mulScalar(this.maxDistance).add(origin);
+
+        const meshKey = this.collision ? this.collision.activeKey : null;
+        const hit = this.collision ? this.collision.raycast(origin, end) : null;
+        if (hit) {
+            // Later misses land at about the same depth as the last surface hit
+            this.planeDepth = Math.max(0.1, hit.point.clone().sub(origin).dot(this.camera.forward));
+            this.depthInput.value = this.planeDepth.toFixed(1);
+            return { origin, direction, point: hit.point, meshKey };
+        }
+
+        // Plane facing the camera at planeDepth
+        const facing = direction.dot(this.camera.forward);
+        if (facing <= 1e-6) return null;
+        const point = direction.clone().mulScalar(this.planeDepth / facing).add(origin);
+        return { origin, direction, point, meshKey: null };
+    }
+
+    /**
+     * Complete the measurement being drawn
+     */
+    finish() {
+        const needed = this.type === 'polyline' ? 2 : TYPES[this.type].points;
+        if (this.draft.length < needed) return;
+
+        const number = this.nextId++;
+        const measurement = {
+            id: `m${number}`,
+            type: this.type,
+            label: `${TYPES[this.type].label} ${number}`,
+            timeId: this._activeTimeId(),
+            picks: this.draft,
+            resolved: {}, // mesh key -> points (or null if a ray missed that mesh)
+            labelEl: this._createLabel()
+        };
+        this.draft = [];
+        this.measurements.push(measurement);
+
+        const values = measurePoints(measurement.picks.map(p => p.point));
+        console.log(`${measurement.label}: ${this._formatMain(measurement.type, values)}`);
+
+        this._updateStatus();
+        this._renderList();
+    }
+
+    undoPoint() {
+        if (this.draft.length > 0) {
+            this.draft.pop();
+        } else if (this.measurements.length > 0) {
+            this._remove(this.measurements[this.measurements.length - 1]);
+        }
+        this._updateStatus();
+        this._renderList();
+    }
+
+    clear() {
+        [...this.measurements].forEach(m => this._remove(m));
+        this.draft = [];
+        this._updateStatus();
+        this._renderList();
+    }
+
+    _remove(measurement) {
+        measurement.labelEl.remove();
+        this.measurements.splice(this.measurements.indexOf(measurement), 1);
+        if (this.selected === measurement) this.selectForCompare(null);
+    }
+
+    _activeTimeId() {
+        return this.timeToggle ? this.timeToggle.activeTimeId : null;
+    }
+
+    /**
+     * Points of a measurement in a time: the picks re-cast against that time's collision mesh
+     * @returns {pc.Vec3[]|null|undefined} - null if a ray misses, undefined while the mesh loads
+     */
+    pointsForTime(measurement, timeId) {
+        const key = this.collision && timeId ? this.collision.getMeshKey(timeId) : null;
+        if (!key || measurement.picks.every(p => p.meshKey === null || p.meshKey === key)) {
+            return measurement.picks.map(p => p.point);
+        }
+
+        if (key in measurement.resolved) return measurement.resolved[key];
+        if (!this.collision.ensureMeshLoaded(key) || !this.collision.physicsReady) return undefined;
+
+        let points = [];
+        for (const pick of measurement.picks) {
+            if (pick.meshKey === null || pick.meshKey === key) {
+                points.push(pick.point);
+                continue;
+            }
+            const end = pick.direction.clone().mulScalar(this.maxDistance).add(pick.origin);
+            const hit = this.collision.raycast(pick.origin, end, key);
+            if (!hit) {
+                points = null;
+                break;
+            }
+            points.push(hit.point);
+        }
+
+        measurement.resolved[key] = points;
+        return points;
+    }
+
+    _times() {
+        return this.timeToggle ? this.timeToggle.times : [];
+    }
+
+    _formatMain(type, values) {
+        if (type === 'height') return `${values.height.toFixed(2)} m`;
+        if (type === 'polyline') return `${values.length.toFixed(2)} m`;
+        return `${values.distance.toFixed(2)} m`;
+    }
+
+    _formatDetail(type, values) {
+        if (type === 'height') return `horizontal ${values.horizontal.toFixed(2)} m`;
+        if (type === 'polyline') return `Δh ${values.height.toFixed(2)} m, direct ${values.distance.toFixed(2)} m`;
+        return `Δh ${values.height.toFixed(2)} m, horizontal ${values.horizontal.toFixed(2)} m`;
+    }
+
+    /**
+     * Main value of a measurement type, for comparisons
+     */
+    _mainValue(type, values) {
+        if (type === 'height') return values.height;
+        if (type === 'polyline') return values.length;
+        return values.distance;
+    }
+
+    _updateStatus() {
+        const picked = this.draft.length;
+        const hasPlanePoint = this.draft.some(p => p.meshKey === null);
+        let text;
+
+        if (this.type === 'polyline') {
+            text = picked === 0
+                ? 'Click points along the line, then Finish (Enter)'
+                : `${picked} points - ${measurePoints(this.draft.map(p => p.point)).length.toFixed(2)} m so far`;
+        } else {
+            text = picked === 0 ? 'Click the first point' : 'Click the second point';
+        }
+        if (!this.collision || !this.collision.collisionMesh) {
+            text += ' (no collision mesh: points land on the miss-depth plane)';
+        } else if (hasPlanePoint) {
+            text += ' (a point missed the mesh)';
+        }
+
+        this.statusEl.textContent = text;
+        this.finishBtn.style.display = this.type === 'polyline' ? 'inline-block' : 'none';
+    }
+
+    /**
+     * List measurements with readouts for the visible capture
+     */
+    _renderList() {
+        this.listEl.innerHTML = '';
+        const timeId = this._activeTimeId();
+
+        this.measurements.forEach((m) => {
+            const row = document.createElement('div');
+            row.style.cssText = `
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                padding: 4px 6px;
+                border-radius: 4px;
+                background: ${m === this.selected ? 'rgba(255, 102, 26, 0.3)' : 'rgba(255, 255, 255, 0.08)'};
+            `;
+
+            const points = this.pointsForTime(m, timeId);
+            const text = document.createElement('div');
+            text.style.cssText = 'flex: 1;';
+            const name = document.createElement('b');
+            name.textContent = m.label;
+            const detail = document.createElement('span');
+            detail.style.color = 'rgba(255, 255, 255, 0.6)';
+            if (points) {
+                const values = measurePoints(points);
+                detail.style.fontSize = '10px';
+                detail.textContent = this._formatDetail(m.type, values);
+                text.append(name, ` ${this._formatMain(m.type, values)}`, document.createElement('br'), detail);
+            } else {
+                detail.textContent = points === null ? 'misses this capture' : 'loading mesh...';
+                text.append(name, ' ', detail);
+            }
+
+            const compareBtn = document.createElement('button');
+            compareBtn.textContent = '⇄';
+            compareBtn.title = 'Compare across times';
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = 'Delete';
+            [compareBtn, deleteBtn].forEach((btn) => {
+                btn.style.cssText = `
+                    background: none;
+                    border: none;
+                    color: white;
+                    cursor: pointer;
+                    font-size: 13px;
+                    padding: 0 2px;
+                `;
+            });
+            compareBtn.style.display = this._times().length > 1 ? 'inline-block' : 'none';
+            compareBtn.addEventListener('click', () => this.selectForCompare(m === this.selected ? null : m));
+            deleteBtn.addEventListener('click', () => {
+                this._remove(m);
+                this._renderList();
+            });
+
+            row.appendChild(text);
+            row.appendChild(compareBtn);
+            row.appendChild(deleteBtn);
+            this.listEl.appendChild(row);
+        });
+    }
+
+    /**
+     * Show a measurement's values in every time state (null closes the comparison)
+     */
+    selectForCompare(measurement) {
+        this.selected = measurement;
+        this._renderCompare();
+        this._renderList();
+    }
+
+    _renderCompare() {
+        const m = this.selected;
+        if (!m) {
+            this.compareEl.style.display = 'none';
+            return;
+        }
+
+        const reference = this._times().find(t => t.id === m.timeId);
+        const referencePoints = this.pointsForTime(m, m.timeId);
+        const referenceValue = referencePoints ? this._mainValue(m.type, measurePoints(referencePoints)) : null;
+        const activeId = this._activeTimeId();
+
+        const heading = document.createElement('div');
+        heading.style.marginBottom = '4px';
+        const name = document.createElement('b');
+        name.textContent = m.label;
+        const source = document.createElement('span');
+        source.style.color = 'rgba(255, 255, 255, 0.6)';
+        const sourceName = document.createElement('i');
+        sourceName.textContent = reference?.label || m.timeId || 'scene';
+        source.append('(picked in ', sourceName, ')');
+        heading.append(name, ' ', source);
+
+        const table = document.createElement('table');
+        table.style.cssText = 'width: 100%; border-collapse: collapse; font-family: monospace; font-size: 11px;';
+
+        this.comparePending = false;
+        this._times().forEach((time) => {
+            const points = this.pointsForTime(m, time.id);
+            let value = '—';
+            let delta = '';
+            if (points === undefined) {
+                value = 'loading...';
+                this.comparePending = true;
+            } else if (points === null) {
+                value = 'miss';
+            } else {
+                const main = this._mainValue(m.type, measurePoints(points));
+                value = `${main.toFixed(2)} m`;
+                if (referenceValue !== null && time.id !== m.timeId) {
+                    const diff = main - referenceValue;
+                    delta = `${diff >= 0 ? '+' : ''}${diff.toFixed(2)} m`;
+                }
+            }
+
+            const row = table.insertRow();
+            row.style.fontWeight = time.id === activeId ? 'bold' : 'normal';
+            row.insertCell().textContent = time.label || time.id;
+            const valueCell = row.insertCell();
+            valueCell.style.textAlign = 'right';
+            valueCell.textContent = value;
+            const deltaCell = row.insertCell();
+            deltaCell.style.cssText = 'text-align: right; color: rgba(255, 255, 255, 0.6);';
+            deltaCell.textContent = delta;
+        });
+
+        this.compareEl.replaceChildren(heading, table);
+        this.compareEl.style.display = 'block';
+    }
+
+    _createLabel() {
+        const label = document.createElement('div');
+        label.className = 'measure-label';
+        label.style.cssText = `
+            position: fixed;
+            transform: translate(-50%, -130%);
+            background: rgba(0, 0, 0, 0.7);
+            color: white;
+            padding: 2px 6px;
+            border-radius: 4px;
+            font-size: 11px;
+            font-family: monospace;
+            white-space: nowrap;
+            pointer-events: none;
+            z-index: 100;
+            display: none;
+        `;
+        document.body.appendChild(label);
+        return label;
+    }
+
+    /**
+     * Draw measurements for the visible capture and position their labels
+     */
+    _draw() {
+        const timeId = this._activeTimeId();
+        const camPos = this.camera.getPosition();
+        const forward = this.camera.forward;
+
+        this.measurements.forEach((m) => {
+            const points = this.pointsForTime(m, timeId);
+            if (!points) {
+                m.labelEl.style.display = 'none';
+                return;
+            }
+
+            const color = m === this.selected ? SELECTED_COLOR : MEASUREMENT_COLOR;
+            this._drawPoints(points, m.type, color);
+            m.picks.forEach((pick, i) => {
+                if (pick.meshKey === null) this._drawCross(points[i], PLANE_COLOR);
+            });
+
+            // Label at the last point, hidden behind the camera
+            const anchor = points[points.length - 1];
+            this._toLabel.sub2(anchor, camPos);
+            if (this._toLabel.dot(forward) <= 0) {
+                m.labelEl.style.display = 'none';
+                return;
+            }
+            this.camera.camera.worldToScreen(anchor, this._screenPos);
+            m.labelEl.textContent = this._formatMain(m.type, measurePoints(points));
+            m.labelEl.style.left = `${this._screenPos.x}px`;
+            m.labelEl.style.top = `${this._screenPos.y}px`;
+            m.labelEl.style.display = 'block';
+        });
+
+        if (this.draft.length > 0) {
+            this._drawPoints(this.draft.map(p => p.point), this.type, DRAFT_COLOR);
+        }
+    }
+
+    _drawPoints(points, type, color) {
+        points.forEach(p => this._drawCross(p, color));
+
+        const lines = [];
+        if (type === 'height' && points.length === 2) {
+            // Vertical leg from the lower point, horizontal leg at the upper point's height
+            const [a, b] = points[0].y <= points[1].y ? points : [points[1], points[0]];
+            const corner = new pc.Vec3(a.x, b.y, a.z);
+            lines.push(a, corner, corner, b);
+        } else {
+            for (let i = 1; i < points.length; i++) lines.push(points[i - 1], points[i]);
+        }
+        if (lines.length) this.app.drawLines(lines, color, false);
+    }
+
+    _drawCross(p, color) {
+        const size = 0.05;
+        this.app.drawLines([
+            new pc.Vec3(p.x - size, p.y, p.z), new pc.Vec3(p.x + size, p.y, p.z),
+            new pc.Vec3(p.x, p.y - size, p.z), new pc.Vec3(p.x, p.y + size, p.z),
+            new pc.Vec3(p.x, p.y, p.z - size), new pc.Vec3(p.x, p.y, p.z + size)
+        ], color, false);
+    }
+
+    /**
+     * Values of every measurement in every time (times whose mesh hasn't loaded are null)
+     */
+    _exportRows() {
+        const times = this._times().length > 0 ? this._times().map(t => t.id) : [null];
+        return this.measurements.map(m => ({
+            measurement: m,
+            times: times.map((timeId) => {
+                const points = this.pointsForTime(m, timeId);
+                return { timeId, points: points || null, values: points ? measurePoints(points) : null };
+            })
+        }));
+    }
+
+    /**
+     * Export measurements as measurements.json (download + clipboard)
+     */
+    async exportJSON() {
+        const round = value => Math.round(value * 1000) / 1000;
+        const data = {
+            version: 1,
+            measurements: this._exportRows().map(({ measurement: m, times }) => ({
+                id: m.id,
+                label: m.label,
+                type: m.type,
+                time: m.timeId,
+                planePoints: m.picks.map((p, i) => (p.meshKey === null ? i : -1)).filter(i => i >= 0),
+                times: Object.fromEntries(times.map(({ timeId, points, values }) => [timeId ?? 'scene', points && {
+                    points: points.map(p => [round(p.x), round(p.y), round(p.z)]),
+                    length: round(values.length),
+                    distance: round(values.distance),
+                    height: round(values.height),
+                    horizontal: round(values.horizontal)
+                }]))
+            }))
+        };
+        await this._download(JSON.stringify(data, null, 2), 'measurements.json', 'application/json');
+    }
+
+    /**
+     * Export measurements as measurements.csv, one row per measurement and time
+     */
+    async exportCSV() {
+        const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+        const lines = ['id,label,type,picked_in,time,length_m,distance_m,height_m,horizontal_m,points'];
+
+        this._exportRows().forEach(({ measurement: m, times }) => {
+            times.forEach(({ timeId, points, values }) => {
+                const cells = values
+                    ? [values.length, values.distance, values.height, values.horizontal].map(v => v.toFixed(3))
+                    : ['', '', '', ''];
+                const pointText = points ? points.map(p => `${p.x.toFixed(3)} ${p.y.toFixed(3)} ${p.z.toFixed(3)}`).join('; ') : '';
+                lines.push([m.id, quote(m.label), m.type, m.timeId ?? '', timeId ?? '', ...cells, quote(pointText)].join(','));
+            });
+        });
+
+        await this._download(lines.join('\n'), 'measurements.csv', 'text/csv');
+    }
+
+    async _download(text, filename, type) {
+        const blob = new Blob([text], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        try {
+            await navigator.clipboard.writeText(text);
+            console.log(`${filename} copied to clipboard`);
+        } catch (err) {
+            console.warn(`Could not copy ${filename} to clipboard:`, err);
+        }
+
+        console.log(`Exported ${this.measurements.length} measurements to ${filename}`);
+    }
+}
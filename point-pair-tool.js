@@ -0,0 +1,597 @@
+/**
+ * Point-Pair Alignment Tool
+ *
+ * Aligns one capture to another from corresponding points picked in the viewer. Pick a
+ * feature while the reference capture is shown, switch time, pick the same feature on
+ * the target capture, and repeat for three or more features. The best-fit rigid (or
+ * similarity) transform is solved after every pick, previewed on the target splat and
+ * reported with per-point residuals. Apply writes it into config.timeToggle.transforms
+ * as a SplatAlign matrix_column_major_flat, the format loadTimeState consumes.
+ */
+
+import * as pc from 'playcanvas';
+import { zUpToYUpMatrix, applyMatrixToEntity } from './transform-utils.js';
+import { SplatPicker } from './splat-picker.js';
+
+const MIN_PAIRS = 3;
+
+const REFERENCE_COLOR = new pc.Color(0, 1, 1);
+const TARGET_COLOR = new pc.Color(1, 0.5, 0);
+const PAIR_COLOR = new pc.Color(1, 1, 1, 0.6);
+
+/**
+ * Best-fit transform mapping source points onto target points (Horn's quaternion method)
+ * @param {pc.Vec3[]} source - Points to move
+ * @param {pc.Vec3[]} target - Corresponding fixed points
+ * @param {boolean} allowScale - Solve a similarity (uniform scale) instead of a rigid transform
+ * @returns {{ matrix: pc.Mat4, rotation: pc.Quat, translation: pc.Vec3, scale: number,
+ *             residuals: number[], rms: number, degenerate: boolean }|null}
+ */
+export function solveAlignment(source, target, allowScale = false) {
+    const n = Math.min(source.length, target.length);
+    if (n < MIN_PAIRS) return null;
+
+    const cs = centroid(source, n);
+    const ct = centroid(target, n);
+
+    // Cross-covariance of the centered point sets
+    const S = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    let sourceSpread = 0;
+    const xs = [];
+    for (let i = 0; i < n; i++) {
+        const x = [source[i].x - cs.x, source[i].y - cs.y, source[i].z - cs.z];
+        const y = [target[i].x - ct.x, target[i].y - ct.y, target[i].z - ct.z];
+        for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 3; c++) S[r][c] += x[r] * y[c];
+        }
+        sourceSpread += x[0] * x[0] + x[1] * x[1] + x[2] * x[2];
+        xs.push(x);
+    }
+
+    const [[Sxx, Sxy, Sxz], [Syx, Syy, Syz], [Szx, Szy, Szz]] = S;
+    const N = [
+        [Sxx + Syy + Szz, Syz - Szy, Szx - Sxz, Sxy - Syx],
+        [Syz - Szy, Sxx - Syy - Szz, Sxy + Syx, Szx + Sxz],
+        [Szx - Sxz, Sxy + Syx, -Sxx + Syy - Szz, Syz + Szy],
+        [Sxy - Syx, Szx + Sxz, Syz + Szy, -Sxx - Syy + Szz]
+    ];
+
+    // The rotation is the eigenvector of the largest eigenvalue, as (w, x, y, z)
+    const q = largestEigenvector(N);
+    const rotation = new pc.Quat(q[1], q[2], q[3], q[0]).normalize();
+
+    let scale = 1;
+    if (allowScale && sourceSpread > 0) {
+        let dot = 0;
+        const rx = new pc.Vec3();
+        for (let i = 0; i < n; i++) {
+            rotation.transformVector(new pc.Vec3(xs[i][0], xs[i][1], xs[i][2]), rx);
+            dot += rx.x * (target[i].x - ct.x) + rx.y * (target[i].y - ct.y) + rx.z * (target[i].z - ct.z);
+        }
+        scale = dot / sourceSpread;
+    }
+
+    // t = ct - s * R * cs
+    const rotatedCentroid = new pc.Vec3();
+    rotation.transformVector(cs, rotatedCentroid);
+    const translation = ct.clone().sub(rotatedCentroid.mulScalar(scale));
+
+    const matrix = new pc.Mat4().setTRS(translation, rotation, new pc.Vec3(scale, scale, scale));
+
+    const residuals = [];
+    const moved = new pc.Vec3();
+    let sumSq = 0;
+    for (let i = 0; i < n; i++) {
+        matrix.transformPoint(source[i], moved);
+        const d = moved.distance(target[i]);
+        residuals.push(d);
+        sumSq += d * d;
+    }
+
+    return {
+        matrix,
+        rotation,
+        translation,
+        scale,
+        residuals,
+        rms: Math.sqrt(sumSq / n),
+        degenerate: isCollinear(xs, sourceSpread / n)
+    };
+}
+
+function centroid(points, n) {
+    const c = new pc.Vec3();
+    for (let i = 0; i < n; i++) c.add(points[i]);
+    return c.mulScalar(1 / n);
+}
+
+/**
+ * Points (centered) that lie on a line leave the rotation about that line undetermined
+ */
+function isCollinear(centered, meanSpread) {
+    let maxCross = 0;
+    for (let i = 0; i < centered.length; i++) {
+        for (let j = i + 1; j < centered.length; j++) {
+            const [ax, ay, az] = centered[i];
+            const [bx, by, bz] = centered[j];
+            const cx = ay * bz - az * by;
+            const cy = az * bx - ax * bz;
+            const cz = ax * by - ay * bx;
+            maxCross = Math.max(maxCross, Math.sqrt(cx * cx + cy * cy + cz * cz));
+        }
+    }
+    return maxCross < 1e-3 * meanSpread;
+}
+
+/**
+ * Eigenvector of the largest eigenvalue of a symmetric 4x4 matrix (Jacobi rotations)
+ */
+function largestEigenvector(matrix) {
+    const a = matrix.map(row => row.slice());
+    const v = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let off = 0;
+        for (let p = 0; p < 3; p++) {
+            for (let q = p + 1; q < 4; q++) off += a[p][q] * a[p][q];
+        }
+        if (off < 1e-20) break;
+
+        for (let p = 0; p < 3; p++) {
+            for (let q = p + 1; q < 4; q++) {
+                if (Math.abs(a[p][q]) < 1e-30) continue;
+
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < 4; k++) {
+                    const akp = a[k][p], akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < 4; k++) {
+                    const apk = a[p][k], aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < 4; k++) {
+                    const vkp = v[k][p], vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    let best = 0;
+    for (let i = 1; i < 4; i++) {
+        if (a[i][i] > a[best][best]) best = i;
+    }
+    return [v[0][best], v[1][best], v[2][best], v[3][best]];
+}
+
+export class PointPairTool {
+    constructor(app, camera, timeToggleSystem, config) {
+        this.app = app;
+        this.camera = camera;
+        this.timeToggle = timeToggleSystem;
+        this.transforms = config.timeToggle.transforms;
+
+        this.active = false;
+        this.referenceId = timeToggleSystem.leftEndpoint;
+        this.targetId = timeToggleSystem.rightEndpoint;
+        this.allowScale = false;
+
+        // Reference points are world positions; target points are stored in the target
+        // capture's local space so they follow the previewed transform
+        this.referencePoints = [];
+        this.targetPoints = [];
+        this.pickOrder = []; // 'reference' | 'target', for undo
+
+        this.baseWorld = null; // Target entity world matrix before any preview
+        this.solution = null;
+        this.picking = false;
+
+        this.picker = new SplatPicker(app, camera);
+
+        // UI
+        this.panel = null;
+        this.statusEl = null;
+        this.resultEl = null;
+        this.outputEl = null;
+        this.referenceSelect = null;
+        this.targetSelect = null;
+
+        this._createUI();
+
+        this.app.on('update', () => {
+            if (this.active) this._drawMarkers();
+        });
+
+        // A target evicted by the memory budget reloads with only its configured transform;
+        // restore the unapplied preview so it matches the panel
+        this.timeToggle.on('load:complete', (timeId, entity) => {
+            if (timeId === this.targetId && this.solution && this.baseWorld) {
+                applyMatrixToEntity(entity, this._previewMatrix());
+            }
+        });
+    }
+
+    /**
+     * Create the point-pair panel (hidden until the tool is toggled on)
+     */
+    _createUI() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'point-pair-panel';
+        this.panel.style.cssText = `
+            position: fixed;
+            top: 80px;
+            right: 10px;
+            color: white;
+            font-size: 12px;
+            background: rgba(0, 30, 40, 0.85);
+            border: 1px solid rgba(0, 200, 255, 0.8);
+            backdrop-filter: blur(10px);
+            padding: 12px 15px;
+            border-radius: 8px;
+            z-index: 1001;
+            width: 280px;
+            display: none;
+            user-select: none;
+        `;
+
+        const title = document.createElement('strong');
+        title.textContent = '📍 Point-Pair Alignment';
+
+        const selectors = document.createElement('div');
+        selectors.style.cssText = 'display: grid; grid-template-columns: auto 1fr; gap: 4px 8px; margin: 8px 0; align-items: center;';
+        this.referenceSelect = this._createTimeSelect(this.referenceId, id => this.setReference(id));
+        this.targetSelect = this._createTimeSelect(this.targetId, id => this.setTarget(id));
+        selectors.append('Reference', this.referenceSelect, 'Target', this.targetSelect);
+
+        const scaleLabel = document.createElement('label');
+        scaleLabel.style.cssText = 'display: block; margin-bottom: 8px; cursor: pointer;';
+        const scaleCheckbox = document.createElement('input');
+        scaleCheckbox.type = 'checkbox';
+        scaleCheckbox.addEventListener('change', () => {
+            this.allowScale = scaleCheckbox.checked;
+            this._solve();
+        });
+        scaleLabel.append(scaleCheckbox, ' Allow uniform scale');
+
+        const help = document.createElement('div');
+        help.style.cssText = 'opacity: 0.7; line-height: 1.5; margin-bottom: 8px;';
+        help.innerHTML = `
+            Click a feature on the shown capture,<br>
+            switch time ([ ]), click the same feature.<br>
+            Repeat for ${MIN_PAIRS}+ well-spread features.
+        `;
+
+        this.statusEl = document.createElement('div');
+        this.statusEl.style.cssText = 'margin-bottom: 6px;';
+
+        this.resultEl = document.createElement('div');
+        this.resultEl.style.cssText = 'font-family: monospace; line-height: 1.5; white-space: pre; margin-bottom: 8px;';
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; flex-wrap: wrap; gap: 6px;';
+        [
+            ['Undo point', () => this.undoPoint()],
+            ['Clear', () => this.clear()],
+            ['Revert', () => this.revertPreview()],
+            ['Apply', () => this.apply()]
+        ].forEach(([label, action]) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.style.cssText = `
+                background: rgba(255, 255, 255, 0.15);
+                border: 1px solid rgba(255, 255, 255, 0.3);
+                border-radius: 4px;
+                color: white;
+                font-size: 11px;
+                padding: 3px 10px;
+                cursor: pointer;
+            `;
+            btn.addEventListener('click', action);
+            buttons.appendChild(btn);
+        });
+
+        this.outputEl = document.createElement('textarea');
+        this.outputEl.readOnly = true;
+        this.outputEl.style.cssText = `
+            width: 100%;
+            height: 90px;
+            margin-top: 8px;
+            background: rgba(0, 0, 0, 0.5);
+            color: #0f0;
+            border: 1px solid rgba(255, 255, 255, 0.2);
+            font-family: monospace;
+            font-size: 10px;
+            display: none;
+            user-select: text;
+        `;
+
+        this.panel.append(title, selectors, scaleLabel, help, this.statusEl, this.resultEl, buttons, this.outputEl);
+        document.body.appendChild(this.panel);
+    }
+
+    _createTimeSelect(selectedId, onChange) {
+        const select = document.createElement('select');
+        select.style.cssText = 'background: rgba(0, 0, 0, 0.5); color: white; border: 1px solid rgba(255, 255, 255, 0.3); font-size: 11px;';
+        this.timeToggle.times.forEach((time) => {
+            const option = document.createElement('option');
+            option.value = time.id;
+            option.textContent = time.label || time.id;
+            option.selected = time.id === selectedId;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
+
+    /**
+     * Toggle point-pair mode on/off
+     */
+    toggle() {
+        this.active = !this.active;
+        this.panel.style.display = this.active ? 'block' : 'none';
+        if (this.active) this._updatePanel();
+
+        console.log('Point-pair alignment:', this.active ? 'ON' : 'OFF');
+        return this.active;
+    }
+
+    /**
+     * Change the capture that stays fixed (clears picked points)
+     */
+    setReference(timeId) {
+        if (timeId === this.targetId) {
+            this.referenceSelect.value = this.referenceId;
+            console.warn('Point-pair: reference and target must be different captures');
+            return;
+        }
+        this.revertPreview();
+        this.referenceId = timeId;
+        this.clear();
+    }
+
+    /**
+     * Change the capture being aligned (reverts the previous preview, clears picked points)
+     */
+    setTarget(timeId) {
+        if (timeId === this.referenceId) {
+            this.targetSelect.value = this.targetId;
+            console.warn('Point-pair: reference and target must be different captures');
+            return;
+        }
+        this.revertPreview();
+        this.targetId = timeId;
+        this.baseWorld = null;
+        this.clear();
+    }
+
+    /**
+     * Pick a point on whichever of the two captures is currently shown
+     */
+    async handleClick(e) {
+        if (!this.active || this.picking) return;
+
+        const timeId = this.timeToggle.getActiveTimeId();
+        const role = timeId === this.referenceId ? 'reference'
+            : timeId === this.targetId ? 'target' : null;
+
+        if (!role) {
+            this._setStatus(`Switch to the reference or target capture to pick (showing ${timeId})`, true);
+            return;
+        }
+        if (this.timeToggle.compareMode || this.timeToggle.transitioning) {
+            this._setStatus('Leave split view and wait for the transition before picking', true);
+            return;
+        }
+
+        this.picking = true;
+        const point = await this.picker.pick(e.clientX, e.clientY);
+        this.picking = false;
+
+        if (!point) {
+            this._setStatus('No splat under the cursor', true);
+            return;
+        }
+
+        if (role === 'reference') {
+            this.referencePoints.push(point.clone());
+        } else {
+            const entity = this.timeToggle.splatEntities[this.targetId];
+            if (!this.baseWorld) this.baseWorld = entity.getWorldTransform().clone();
+
+            // Store in target-local space (undoing any preview currently applied)
+            const toLocal = entity.getWorldTransform().clone().invert();
+            this.targetPoints.push(toLocal.transformPoint(point, new pc.Vec3()));
+        }
+        this.pickOrder.push(role);
+
+        console.log(`Point-pair: ${role} point ${role === 'reference' ? this.referencePoints.length : this.targetPoints.length}` +
+            ` at (${point.x.toFixed(3)}, ${point.y.toFixed(3)}, ${point.z.toFixed(3)})`);
+
+        this._solve();
+    }
+
+    /**
+     * Remove the last picked point
+     */
+    undoPoint() {
+        const role = this.pickOrder.pop();
+        if (!role) return;
+
+        if (role === 'reference') this.referencePoints.pop();
+        else this.targetPoints.pop();
+
+        this._solve();
+    }
+
+    /**
+     * Remove all picked points (the preview stays until reverted or re-solved)
+     */
+    clear() {
+        this.referencePoints = [];
+        this.targetPoints = [];
+        this.pickOrder = [];
+        this.solution = null;
+        this.outputEl.style.display = 'none';
+        this._updatePanel();
+    }
+
+    /**
+     * Put the target capture back where it was before previewing
+     */
+    revertPreview() {
+        const entity = this.timeToggle.splatEntities[this.targetId];
+        if (entity && this.baseWorld) {
+            applyMatrixToEntity(entity, this.baseWorld);
+        }
+        this.solution = null;
+        this._updatePanel();
+    }
+
+    /**
+     * Write the solved transform into the transforms config and export it as JSON
+     */
+    async apply() {
+        if (!this.solution) {
+            this._setStatus(`Pick at least ${MIN_PAIRS} point pairs first`, true);
+            return null;
+        }
+
+        // Entity world = Y-up rotation * alignment, so alignment = inverse(rotation) * world
+        const alignment = zUpToYUpMatrix().invert();
+        alignment.mul(this._previewMatrix());
+        const matrix = Array.from(alignment.data).map(v => Number(v.toFixed(6)));
+
+        this.transforms[this.targetId] = matrix;
+
+        const json = JSON.stringify({
+            time_id: this.targetId,
+            reference_time_id: this.referenceId,
+            matrix_column_major_flat: matrix,
+            point_pairs: this.solution.residuals.length,
+            rms_error: Number(this.solution.rms.toFixed(4)),
+            scale: Number(this.solution.scale.toFixed(6))
+        }, null, 2);
+
+        this.outputEl.value = json;
+        this.outputEl.style.display = 'block';
+
+        try {
+            await navigator.clipboard.writeText(json);
+            console.log('Point-pair alignment copied to clipboard');
+        } catch (err) {
+            console.warn('Could not copy point-pair alignment to clipboard:', err);
+        }
+
+        console.log(`Point-pair alignment for ${this.targetId} written to transforms:\n${json}`);
+
+        // The applied transform is the new starting point for further picks
+        this.baseWorld = this._previewMatrix();
+        this.clear();
+        this._setStatus('Applied - paste the matrix into transforms to keep it');
+
+        return json;
+    }
+
+    /**
+     * Target entity world matrix with the current solution applied
+     */
+    _previewMatrix() {
+        const world = this.solution.matrix.clone();
+        world.mul(this.baseWorld);
+        return world;
+    }
+
+    /**
+     * Solve from the complete pairs and preview the result on the target capture
+     */
+    _solve() {
+        const pairs = Math.min(this.referencePoints.length, this.targetPoints.length);
+
+        if (pairs < MIN_PAIRS || !this.baseWorld) {
+            if (this.solution) this.revertPreview();
+            this.solution = null;
+            this._updatePanel();
+            return;
+        }
+
+        // Target points in their un-previewed world position -> reference points
+        const source = this.targetPoints.slice(0, pairs).map(p => this.baseWorld.transformPoint(p, new pc.Vec3()));
+        this.solution = solveAlignment(source, this.referencePoints.slice(0, pairs), this.allowScale);
+
+        const entity = this.timeToggle.splatEntities[this.targetId];
+        if (entity && this.solution) {
+            applyMatrixToEntity(entity, this._previewMatrix());
+        }
+
+        this._updatePanel();
+    }
+
+    _setStatus(message, warning = false) {
+        this.statusEl.textContent = message;
+        this.statusEl.style.color = warning ? '#ffb060' : '';
+        if (warning) console.warn('Point-pair:', message);
+    }
+
+    _updatePanel() {
+        if (!this.statusEl) return;
+
+        const next = this.referencePoints.length <= this.targetPoints.length ? 'reference' : 'target';
+        this._setStatus(`Pairs: ${Math.min(this.referencePoints.length, this.targetPoints.length)}` +
+            `  (ref ${this.referencePoints.length}, target ${this.targetPoints.length}) - next: ${next}`);
+
+        if (!this.solution) {
+            this.resultEl.textContent = '';
+            return;
+        }
+
+        const s = this.solution;
+        const lines = s.residuals.map((r, i) => `  #${i + 1}  ${r.toFixed(3)} m`);
+        this.resultEl.textContent =
+            `RMS ${s.rms.toFixed(3)} m   Scale ${s.scale.toFixed(4)}\n` +
+            `Residuals:\n${lines.join('\n')}` +
+            (s.degenerate ? '\n⚠ Points are nearly collinear' : '');
+    }
+
+    /**
+     * Draw picked points as small crosses, with lines joining complete pairs
+     */
+    _drawMarkers() {
+        const entity = this.timeToggle.splatEntities[this.targetId];
+        const targetWorld = entity ? entity.getWorldTransform() : null;
+
+        const referenceLines = [];
+        const targetLines = [];
+        const pairLines = [];
+
+        const pushCross = (lines, p) => {
+            const size = 0.1;
+            lines.push(
+                new pc.Vec3(p.x - size, p.y, p.z), new pc.Vec3(p.x + size, p.y, p.z),
+                new pc.Vec3(p.x, p.y - size, p.z), new pc.Vec3(p.x, p.y + size, p.z),
+                new pc.Vec3(p.x, p.y, p.z - size), new pc.Vec3(p.x, p.y, p.z + size)
+            );
+        };
+
+        this.referencePoints.forEach(p => pushCross(referenceLines, p));
+
+        if (targetWorld) {
+            this.targetPoints.forEach((local, i) => {
+                const p = targetWorld.transformPoint(local, new pc.Vec3());
+                pushCross(targetLines, p);
+                if (this.referencePoints[i]) pairLines.push(p, this.referencePoints[i]);
+            });
+        }
+
+        if (referenceLines.length) this.app.drawLines(referenceLines, REFERENCE_COLOR, false);
+        if (targetLines.length) this.app.drawLines(targetLines, TARGET_COLOR, false);
+        if (pairLines.length) this.app.drawLines(pairLines, PAIR_COLOR, false);
+    }
+}
@@ -0,0 +1,309 @@
+/**
+ * Portal System for Multi-Scene Navigation
+ *
+ * Places glowing portal orbs in world space (from config.portal.portals). Walking into an
+ * orb saves the current pose for this scene to localStorage and navigates to the target
+ * scene URL; the target scene's main.js restores the pose when the user comes back.
+ * Orbs render on the dedicated Portal layer so they stay visible over the gaussian splat.
+ */
+
+import * as pc from 'playcanvas';
+
+export class PortalSystem {
+    constructor(app, camera, config, portalLayer) {
+        this.app = app;
+        this.camera = camera;
+        this.config = config.portal;
+        this.sceneName = config.sceneName || 'unknown';
+        this.portalLayer = portalLayer;
+
+        // Distances (meters)
+        this.radius = this.config.radius ?? 0.5;              // orb size, solid while the portal is disarmed
+        this.triggerMargin = this.config.triggerMargin ?? 0.3; // navigate when this close to the surface
+        this.labelDistance = this.config.labelDistance ?? 8;   // show label within this distance
+
+        this.portals = [];   // [{ def, entity, material, label, armed }]
+        this.visible = true;
+        this.navigating = false;
+        this.time = 0;
+
+        // UI elements
+        this.toggleBtn = null;
+
+        // Reusable vectors (update runs every frame)
+        this._labelPos = new pc.Vec3();
+        this._screenPos = new pc.Vec3();
+        this._toPortal = new pc.Vec3();
+
+        (this.config.portals || []).forEach(def => this._createPortal(def));
+        this._createUI();
+
+        console.log(`PortalSystem initialized with ${this.portals.length} portals`);
+    }
+
+    /**
+     * Create the orb entity and hover label for one portal definition
+     */
+    _createPortal(def) {
+        if (!def.position || !def.url) {
+            console.warn('Portal is missing position or url:', def);
+            return;
+        }
+
+        const color = def.color
+            ? new pc.Color(def.color[0], def.color[1], def.color[2])
+            : new pc.Color(0.4, 0.7, 1);
+        const radius = def.radius ?? this.radius;
+
+        const material = new pc.StandardMaterial();
+        material.diffuse = new pc.Color(0, 0, 0);
+        material.emissive = color;
+        material.opacity = 0.7;
+        material.blendType = pc.BLEND_NORMAL;
+        material.depthWrite = false;
+        material.update();
+
+        const entity = new pc.Entity(`portal_${def.id || this.portals.length}`);
+        entity.addComponent('render', {
+            type: 'sphere',
+            material: material,
+            layers: [this.portalLayer.id],
+            castShadows: false
+        });
+        entity.setPosition(def.position.x, def.position.y, def.position.z);
+        entity.setLocalScale(radius * 2, radius * 2, radius * 2);
+        this.app.root.addChild(entity);
+
+        const label = document.createElement('div');
+        label.className = 'portal-label';
+        label.textContent = `✨ ${def.label || def.url}`;
+        label.style.cssText = `
+            position: fixed;
+            transform: translate(-50%, -100%);
+            background: rgba(0, 0, 0, 0.7);
+            backdrop-filter: blur(10px);
+            color: white;
+            padding: 6px 12px;
+            border-radius: 15px;
+            font-size: 13px;
+            font-weight: bold;
+            white-space: nowrap;
+            pointer-events: none;
+            z-index: 100;
+            display: none;
+        `;
+        document.body.appendChild(label);
+
+        // Don't fire a portal the camera spawned inside (e.g. returning to a saved pose)
+        const camPos = this.camera.getPosition();
+        const armed = camPos.distance(entity.getPosition()) > radius + this.triggerMargin;
+
+        this.portals.push({ def, entity, material, label, radius, armed });
+    }
+
+    /**
+     * Show/hide portals button (✨)
+     */
+    _createUI() {
+        if (this.portals.length === 0) return;
+
+        const styles = document.createElement('style');
+        styles.textContent = `
+            #portal-toggle-btn {
+                position: fixed;
+                bottom: 10px;
+                left: 56px;
+                width: 36px;
+                height: 36px;
+                background: rgba(0, 0, 0, 0.7);
+                backdrop-filter: blur(10px);
+                border: none;
+                border-radius: 50%;
+                color: white;
+                font-size: 18px;
+                cursor: pointer;
+                z-index: 101;
+                transition: all 0.3s ease;
+            }
+            /* Touch devices have no hide-UI button, take its spot */
+            @media (pointer: coarse) {
+                #portal-toggle-btn {
+                    left: 10px;
+                }
+            }
+            body.immersive-mode #portal-toggle-btn,
+            body.immersive-mode .portal-label {
+                opacity: 0;
+                pointer-events: none;
+            }
+        `;
+        document.head.appendChild(styles);
+
+        this.toggleBtn = document.createElement('button');
+        this.toggleBtn.id = 'portal-toggle-btn';
+        this.toggleBtn.textContent = '✨';
+        this.toggleBtn.title = 'Hide portals';
+        this.toggleBtn.addEventListener('click', () => this.setVisible(!this.visible));
+        document.body.appendChild(this.toggleBtn);
+    }
+
+    /**
+     * Show or hide all portals (hidden portals neither block nor trigger)
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.portals.forEach(portal => {
+            portal.entity.enabled = visible;
+            if (!visible) portal.label.style.display = 'none';
+        });
+
+        if (this.toggleBtn) {
+            this.toggleBtn.style.opacity = visible ? '1' : '0.5';
+            this.toggleBtn.title = visible ? 'Hide portals' : 'Show portals';
+        }
+    }
+
+    /**
+     * Animate orbs and position hover labels
+     */
+    update(dt) {
+        if (!this.visible) return;
+
+        this.time += dt;
+        const camPos = this.camera.getPosition();
+        const forward = this.camera.forward;
+        const cam = this.camera.camera;
+
+        this.portals.forEach((portal, index) => {
+            // Gentle pulse, offset per portal so they don't breathe in sync
+            const pulse = 1 + Math.sin(this.time * 2 + index) * 0.05;
+            const size = portal.radius * 2 * pulse;
+            portal.entity.setLocalScale(size, size, size);
+
+            const portalPos = portal.entity.getPosition();
+            this._toPortal.sub2(portalPos, camPos);
+            const distance = this._toPortal.length();
+
+            // Hide label when far away or behind the camera
+            if (distance > this.labelDistance || this._toPortal.dot(forward) <= 0) {
+                portal.label.style.display = 'none';
+                return;
+            }
+
+            this._labelPos.set(portalPos.x, portalPos.y + portal.radius * 1.3, portalPos.z);
+            cam.worldToScreen(this._labelPos, this._screenPos);
+
+            portal.label.style.display = 'block';
+            portal.label.style.left = `${this._screenPos.x}px`;
+            portal.label.style.top = `${this._screenPos.y}px`;
+        });
+    }
+
+    /**
+     * Navigate when the camera touches a portal
+     */
+    checkCollision(cameraPos) {
+        if (!this.visible || this.navigating) return;
+
+        for (const portal of this.portals) {
+            const distance = cameraPos.distance(portal.entity.getPosition());
+            const triggerDistance = portal.radius + this.triggerMargin;
+
+            if (distance > triggerDistance) {
+                portal.armed = true;
+            } else if (portal.armed) {
+                this._enterPortal(portal);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Returns true if moving from currentPos to newPos would enter the orb of a portal that
+     * isn't armed yet (the camera started inside its trigger zone, e.g. returning to a saved
+     * pose), so it can't be walked through without navigating. Armed portals are never
+     * blocked: their trigger zone is larger than the orb, so checkCollision navigates first.
+     */
+    checkMovementBlocked(currentPos, newPos) {
+        if (!this.visible) return false;
+
+        for (const portal of this.portals) {
+            if (portal.armed) continue;
+
+            const center = portal.entity.getPosition();
+            const newDistance = newPos.distance(center);
+
+            // Allow moving out of an orb the camera is already inside
+            if (newDistance < portal.radius && newDistance < currentPos.distance(center)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Save the pose for this scene and go to the portal's target URL
+     */
+    _enterPortal(portal) {
+        this.navigating = true;
+        const def = portal.def;
+
+        console.log(`Entering portal to ${def.label || def.url}`);
+
+        try {
+            // Return pose: just outside the orb, on the side the camera came from,
+            // so coming back doesn't immediately re-enter the portal
+            const center = portal.entity.getPosition();
+            const camPos = this.camera.getPosition();
+            const away = new pc.Vec3().sub2(camPos, center);
+            away.y = 0;
+            if (away.lengthSq() < 1e-6) {
+                away.copy(this.camera.forward).mulScalar(-1);
+                away.y = 0;
+            }
+            away.normalize().mulScalar(portal.radius + this.triggerMargin + 1);
+
+            const rotation = window.getCameraRotation
+                ? window.getCameraRotation()
+                : { pitch: 0, yaw: 0 };
+
+            const scenePositions = JSON.parse(localStorage.getItem('scenePositions') || '{}');
+            scenePositions[this.sceneName] = {
+                x: center.x + away.x,
+                y: camPos.y,
+                z: center.z + away.z,
+                pitch: rotation.pitch,
+                yaw: rotation.yaw
+            };
+            localStorage.setItem('scenePositions', JSON.stringify(scenePositions));
+            localStorage.setItem('aerialReturnLocation', this.sceneName);
+        } catch (e) {
+            console.warn('Could not save scene position to localStorage:', e);
+        }
+
+        // Fade to black while the next scene loads
+        const overlay = document.createElement('div');
+        overlay.textContent = `Entering ${def.label || ''}...`;
+        overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            background: #000;
+            color: white;
+            font-size: 24px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            opacity: 0;
+            transition: opacity 0.4s ease;
+            z-index: 3000;
+        `;
+        document.body.appendChild(overlay);
+        requestAnimationFrame(() => {
+            overlay.style.opacity = '1';
+        });
+
+        setTimeout(() => {
+            window.location.href = def.url;
+        }, 400);
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * Runtime Scene Manifest
+ *
+ * Loads a JSON description of a scene (times, paths, transforms, start pose, collision
+ * mesh, ...) and merges it over the defaults in config.js, so one deployed build can
+ * serve many sites:
+ *
+ *   ?scene=mason-mill              -> ./scenes/mason-mill.json
+ *   ?scene=sites/mill/scene.json   -> that path on this origin
+ *   (no parameter)                 -> config.sceneManifest, if the file exists
+ *
+ * ?scene= comes from a link anyone can craft, and the manifest's labels and portal urls
+ * end up in the page, so manifests from other origins are refused.
+ *
+ * The manifest uses the same field names as config.js. Relative asset paths in the
+ * manifest are resolved against the manifest's own URL.
+ */
+
+/**
+ * Resolve the manifest URL from ?scene= or the configured default
+ * @returns {{ url: string, explicit: boolean }|null}
+ * @throws {Error} - When ?scene= points to another origin
+ */
+export function getManifestUrl(config, search = window.location.search) {
+    const scene = new URLSearchParams(search).get('scene');
+
+    if (scene) {
+        // Bare names map to ./scenes/<name>.json, anything path-like must stay on this origin
+        const isPath = scene.includes('/') || scene.includes('\\') || scene.includes(':') || scene.endsWith('.json');
+        if (!isPath) {
+            return { url: `${config.scenesDir || './scenes/'}${encodeURIComponent(scene)}.json`, explicit: true };
+        }
+        if (new URL(scene, window.location.href).origin !== window.location.origin) {
+            throw new Error(`Refusing scene manifest from another origin: ${scene}`);
+        }
+        return { url: scene, explicit: true };
+    }
+
+    if (config.sceneManifest) {
+        return { url: config.sceneManifest, explicit: false };
+    }
+
+    return null;
+}
+
+/**
+ * Fetch the scene manifest and merge it into config (in place, so every module that
+ * imports config sees the scene's values)
+ * @returns {Promise<Object|null>} - The manifest, or null when none was loaded
+ */
+export async function loadSceneManifest(config) {
+    const source = getManifestUrl(config);
+    if (!source) return null;
+
+    const manifestUrl = new URL(source.url, window.location.href);
+
+    let manifest;
+    try {
+        const response = await fetch(manifestUrl);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        manifest = await response.json();
+    } catch (err) {
+        // A missing default manifest just means "use config.js"
+        if (!source.explicit) {
+            console.log(`No scene manifest at ${source.url}, using config.js defaults`);
+            return null;
+        }
+        throw new Error(`Could not load scene manifest ${source.url}: ${err.message}`);
+    }
+
+    resolveAssetPaths(manifest, manifestUrl);
+    mergeDeep(config, manifest);
+
+    // Fall back to the first capture if the default time isn't part of this scene
+    const timeToggle = config.timeToggle;
+    if (timeToggle && Array.isArray(timeToggle.times) && timeToggle.times.length > 0 &&
+        !timeToggle.times.some(t => t.id === timeToggle.defaultTime)) {
+        console.warn(`defaultTime '${timeToggle.defaultTime}' not in scene, using '${timeToggle.times[0].id}'`);
+        timeToggle.defaultTime = timeToggle.times[0].id;
+    }
+
+    console.log(`Loaded scene manifest: ${config.sceneName} (${manifestUrl.href})`);
+    return manifest;
+}
+
+/**
+ * Recursively merge source into target. Plain objects merge, everything else
+ * (arrays, numbers, strings, null) replaces the target value.
+ */
+export function mergeDeep(target, source) {
+    Object.keys(source).forEach((key) => {
+        const value = source[key];
+        if (isPlainObject(value) && isPlainObject(target[key])) {
+            mergeDeep(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    });
+    return target;
+}
+
+/**
+ * True if url (resolved against base) is an http(s) link, so it is safe to navigate to.
+ * Rules out javascript:, data: and similar urls in portal definitions.
+ */
+export function isHttpUrl(url, base = window.location.href) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url, base).protocol);
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Make asset paths in the manifest relative to the manifest file
+ */
+function resolveAssetPaths(manifest, baseUrl) {
+    const resolve = path => (typeof path === 'string' ? new URL(path, baseUrl).href : path);
+
+    if (manifest.collisionMesh) {
+        manifest.collisionMesh = resolve(manifest.collisionMesh);
+    }
+    if (manifest.wallConfig) {
+        manifest.wallConfig = resolve(manifest.wallConfig);
+    }
+    if (manifest.annotations && manifest.annotations.url) {
+        manifest.annotations.url = resolve(manifest.annotations.url);
+    }
+    if (manifest.tour && manifest.tour.url) {
+        manifest.tour.url = resolve(manifest.tour.url);
+    }
+
+    // Portal links to other viewer deployments ('../upstairs/'); '?scene=...' and '#...' links
+    // target this viewer page and stay page-relative. Non-http(s) links are dropped.
+    const portals = manifest.portal && manifest.portal.portals;
+    if (Array.isArray(portals)) {
+        manifest.portal.portals = portals.filter((portal) => {
+            if (!portal || typeof portal.url !== 'string' || !isHttpUrl(portal.url, baseUrl)) {
+                console.warn('Ignoring portal with a non-http(s) url:', portal && portal.url);
+                return false;
+            }
+            if (!/^[?#]/.test(portal.url)) {
+                portal.url = resolve(portal.url);
+            }
+            return true;
+        });
+    }
+
+    const times = manifest.timeToggle && manifest.timeToggle.times;
+    if (Array.isArray(times)) {
+        times.forEach((time) => {
+            if (time.path) {
+                // Splat paths are folders; keep the trailing slash loadTimeState expects
+                time.path = resolve(time.path.endsWith('/') ? time.path : `${time.path}/`);
+            }
+            if (time.collisionMesh) {
+                time.collisionMesh = resolve(time.collisionMesh);
+            }
+        });
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
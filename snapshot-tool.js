@@ -0,0 +1,490 @@
+/**
+ * Snapshot Tool
+ *
+ * Renders the current view once per selected time state from exactly the same camera
+ * pose, for before/after stills in reports. Each time is switched to with a hard cut and
+ * captured only after its LOD has settled (full quality, every wanted chunk loaded). The
+ * set exports as individual PNGs, a side-by-side composite PNG and an animated blink
+ * GIF and/or WebP, each frame stamped with the time label and date in a chosen corner.
+ */
+
+import { encodeGif, encodeAnimatedWebP } from './animation-encoders.js';
+
+const CORNERS = {
+    'top-left': 'Top left',
+    'top-right': 'Top right',
+    'bottom-left': 'Bottom left',
+    'bottom-right': 'Bottom right',
+    none: 'No stamp'
+};
+
+const OUTPUTS = {
+    png: 'PNG per time',
+    composite: 'Side-by-side',
+    gif: 'Blink GIF',
+    webp: 'Blink WebP'
+};
+
+const POLL_INTERVAL = 100; // ms between settle checks
+
+export class SnapshotTool {
+    constructor(app, camera, timeToggleSystem, config) {
+        this.app = app;
+        this.camera = camera;
+        this.timeToggle = timeToggleSystem;
+        this.config = config.timeToggle.snapshot || {};
+        this.sceneName = config.sceneName || 'scene';
+
+        this.corner = this.config.corner || 'bottom-left';
+        this.outputs = new Set(this.config.outputs || ['png', 'composite', 'gif']);
+        this.blinkInterval = this.config.blinkInterval ?? 800;         // ms per frame in GIF/WebP
+        this.animationMaxWidth = this.config.animationMaxWidth ?? 960; // px, GIF/WebP are downscaled to this
+        this.settleTime = this.config.settleTime ?? 1000;              // ms a time must stay settled before capture
+        this.settleTimeout = this.config.settleTimeout ?? 20000;       // ms to wait for LOD before capturing anyway
+
+        this.selectedTimes = new Set(this.timeToggle.times.map(t => t.id));
+        this.busy = false;
+
+        // UI elements
+        this.button = null;
+        this.panel = null;
+        this.timesEl = null;
+        this.statusEl = null;
+        this.captureBtn = null;
+        this.overlay = null;
+    }
+
+    /**
+     * Add the snapshot button to the time toggle UI and create the options panel
+     */
+    createUI() {
+        this.button = document.createElement('button');
+        this.button.id = 'snapshot-btn';
+        this.button.textContent = '📷';
+        this.button.title = 'Snapshot every time from this view';
+        this.button.style.cssText = `
+            background: rgba(0, 0, 0, 0.7);
+            backdrop-filter: blur(10px);
+            color: white;
+            border: 2px solid rgba(255, 255, 255, 0.3);
+            border-radius: 25px;
+            padding: 12px 14px;
+            font-size: 14px;
+            cursor: pointer;
+            transition: all 0.2s ease;
+        `;
+        this.button.addEventListener('click', () => this.togglePanel());
+
+        if (this.timeToggle.sliderContainer) {
+            this.timeToggle.sliderContainer.appendChild(this.button);
+        }
+
+        this.panel = document.createElement('div');
+        this.panel.id = 'snapshot-panel';
+        this.panel.style.cssText = `
+            position: fixed;
+            top: 80px;
+            right: 10px;
+            color: white;
+            font-size: 12px;
+            background: rgba(0, 0, 0, 0.8);
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            backdrop-filter: blur(10px);
+            padding: 12px 15px;
+            border-radius: 8px;
+            z-index: 1001;
+            width: 250px;
+            display: none;
+            user-select: none;
+        `;
+
+        const title = document.createElement('strong');
+        title.textContent = '📷 Snapshot';
+
+        this.timesEl = document.createElement('div');
+        this.timesEl.style.cssText = 'margin: 8px 0; display: flex; flex-direction: column; gap: 3px;';
+
+        const cornerSelect = document.createElement('select');
+        cornerSelect.style.cssText = `
+            background: rgba(0, 0, 0, 0.5);
+            color: white;
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            font-size: 11px;
+            padding: 2px 4px;
+            margin-bottom: 8px;
+        `;
+        Object.entries(CORNERS).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value === 'none' ? label : `Stamp: ${label.toLowerCase()}`;
+            cornerSelect.appendChild(option);
+        });
+        cornerSelect.value = this.corner;
+        cornerSelect.addEventListener('change', () => {
+            this.corner = cornerSelect.value;
+        });
+
+        const outputsEl = document.createElement('div');
+        outputsEl.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 3px; margin-bottom: 8px;';
+        Object.entries(OUTPUTS).forEach(([value, label]) => {
+            outputsEl.appendChild(this._checkbox(label, this.outputs.has(value), (checked) => {
+                if (checked) {
+                    this.outputs.add(value);
+                } else {
+                    this.outputs.delete(value);
+                }
+            }));
+        });
+
+        this.captureBtn = document.createElement('button');
+        this.captureBtn.textContent = 'Capture';
+        this.captureBtn.style.cssText = `
+            background: rgba(74, 144, 217, 0.8);
+            border: none;
+            border-radius: 4px;
+            color: white;
+            font-size: 12px;
+            padding: 4px 14px;
+            cursor: pointer;
+        `;
+        this.captureBtn.addEventListener('click', () => this.capture());
+
+        this.statusEl = document.createElement('div');
+        this.statusEl.style.cssText = 'margin-top: 8px; color: rgba(255, 255, 255, 0.7);';
+
+        this.panel.appendChild(title);
+        this.panel.appendChild(this.timesEl);
+        this.panel.appendChild(cornerSelect);
+        this.panel.appendChild(outputsEl);
+        this.panel.appendChild(this.captureBtn);
+        this.panel.appendChild(this.statusEl);
+        this.panel.addEventListener('mousedown', e => e.stopPropagation());
+        document.body.appendChild(this.panel);
+
+        // Blocks the view while capturing so the camera stays put
+        this.overlay = document.createElement('div');
+        this.overlay.style.cssText = `
+            position: fixed;
+            inset: 0;
+            z-index: 1000;
+            cursor: wait;
+            display: none;
+        `;
+        document.body.appendChild(this.overlay);
+    }
+
+    _checkbox(label, checked, onChange) {
+        const wrapper = document.createElement('label');
+        wrapper.style.cssText = 'display: flex; align-items: center; gap: 6px; cursor: pointer;';
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = checked;
+        input.addEventListener('change', () => onChange(input.checked));
+        wrapper.appendChild(input);
+        wrapper.appendChild(document.createTextNode(label));
+        return wrapper;
+    }
+
+    togglePanel() {
+        const visible = this.panel.style.display === 'none';
+        if (visible) this._renderTimes();
+        this.panel.style.display = visible ? 'block' : 'none';
+    }
+
+    _renderTimes() {
+        this.timesEl.innerHTML = '';
+        this.timeToggle.times.forEach((time) => {
+            this.timesEl.appendChild(this._checkbox(this._timeLabel(time), this.selectedTimes.has(time.id), (checked) => {
+                if (checked) {
+                    this.selectedTimes.add(time.id);
+                } else {
+                    this.selectedTimes.delete(time.id);
+                }
+            }));
+        });
+    }
+
+    _timeLabel(time) {
+        return time.date ? `${time.label || time.id} (${time.date})` : (time.label || time.id);
+    }
+
+    _setStatus(text) {
+        this.statusEl.textContent = text;
+        console.log(`Snapshot: ${text}`);
+    }
+
+    /**
+     * Capture every selected time from the current camera pose and export the results
+     */
+    async capture() {
+        if (this.busy) return;
+
+        const tt = this.timeToggle;
+        if (tt.compareMode) {
+            this._setStatus('Exit split view first');
+            return;
+        }
+
+        // Keep timeline order regardless of the order boxes were ticked
+        const times = tt.times.filter(t => this.selectedTimes.has(t.id));
+        if (times.length === 0 || this.outputs.size === 0) {
+            this._setStatus('Select at least one time and one output');
+            return;
+        }
+
+        this.busy = true;
+        this.captureBtn.disabled = true;
+        this.overlay.style.display = 'block';
+
+        const pose = {
+            position: this.camera.getPosition().clone(),
+            rotation: this.camera.getRotation().clone()
+        };
+        const originalTime = tt.activeTimeId;
+        const originalDuration = tt.transitionDuration;
+        tt.transitionDuration = 0; // hard cuts: no crossfade frame can end up in a capture
+
+        const frames = [];
+        try {
+            for (let i = 0; i < times.length; i++) {
+                const time = times[i];
+                this._setStatus(`Rendering ${time.label || time.id} (${i + 1}/${times.length})...`);
+
+                await this._showTime(time.id);
+                const settled = await this._waitForSettle(time.id, pose);
+                if (!settled) console.warn(`Snapshot: ${time.id} did not settle within ${this.settleTimeout} ms`);
+
+                const canvas = await this._grabFrame();
+                this._stamp(canvas, time);
+                frames.push({ time, canvas });
+            }
+        } catch (err) {
+            console.error('Snapshot failed:', err);
+            this._setStatus(`Failed: ${err?.message || err}`);
+        } finally {
+            try {
+                await this._showTime(originalTime);
+            } catch (err) {
+                console.warn('Could not return to the original time:', err);
+            }
+            tt.transitionDuration = originalDuration;
+            this.overlay.style.display = 'none';
+            this.captureBtn.disabled = false;
+            this.busy = false;
+        }
+
+        if (frames.length === times.length) {
+            await this._export(frames);
+        }
+    }
+
+    /**
+     * Switch to a time and wait until the switch (and its cooldown) is over
+     */
+    async _showTime(timeId) {
+        const tt = this.timeToggle;
+        await this._waitFor(() => !tt.switchLock && !tt.transitioning);
+        if (tt.activeTimeId !== timeId) {
+            await tt.switchToTime(timeId);
+        }
+        if (tt.activeTimeId !== timeId) {
+            throw new Error(`Couldn't show ${timeId}`);
+        }
+    }
+
+    _waitFor(condition) {
+        return new Promise((resolve) => {
+            const check = () => {
+                if (condition()) {
+                    resolve();
+                } else {
+                    setTimeout(check, POLL_INTERVAL);
+                }
+            };
+            check();
+        });
+    }
+
+    /**
+     * Wait until the time's LOD stays settled for settleTime (or settleTimeout passes)
+     * @returns {Promise<boolean>} - false if it timed out
+     */
+    _waitForSettle(timeId, pose) {
+        const start = performance.now();
+        let settledSince = null;
+
+        return new Promise((resolve) => {
+            const check = () => {
+                // Hold the pose: LOD selection depends on it
+                this.camera.setPosition(pose.position);
+                this.camera.setRotation(pose.rotation);
+
+                const now = performance.now();
+                if (this.timeToggle.isSettled(timeId)) {
+                    settledSince = settledSince ?? now;
+                    if (now - settledSince >= this.settleTime) {
+                        resolve(true);
+                        return;
+                    }
+                } else {
+                    settledSince = null;
+                }
+
+                if (now - start >= this.settleTimeout) {
+                    resolve(false);
+                    return;
+                }
+                setTimeout(check, POLL_INTERVAL);
+            };
+            check();
+        });
+    }
+
+    /**
+     * Copy the next rendered frame (read right after rendering, while the WebGL
+     * drawing buffer is still intact)
+     */
+    _grabFrame() {
+        return new Promise((resolve) => {
+            this.app.once('frameend', () => {
+                const source = this.app.graphicsDevice.canvas;
+                const canvas = document.createElement('canvas');
+                canvas.width = source.width;
+                canvas.height = source.height;
+                canvas.getContext('2d').drawImage(source, 0, 0);
+                resolve(canvas);
+            });
+        });
+    }
+
+    /**
+     * Stamp the time label and date into the chosen corner
+     */
+    _stamp(canvas, time) {
+        if (this.corner === 'none') return;
+
+        const ctx = canvas.getContext('2d');
+        const lines = [time.label || time.id];
+        if (time.date) lines.push(time.date);
+
+        const fontSize = Math.max(14, Math.round(canvas.height * 0.035));
+        const lineHeight = Math.round(fontSize * 1.25);
+        const padding = Math.round(fontSize * 0.6);
+        const margin = Math.round(fontSize * 0.8);
+
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        const textWidth = Math.max(...lines.map(line => ctx.measureText(line).width));
+        const boxWidth = textWidth + padding * 2;
+        const boxHeight = lineHeight * lines.length + padding * 2 - (lineHeight - fontSize);
+
+        const x = this.corner.endsWith('left') ? margin : canvas.width - margin - boxWidth;
+        const y = this.corner.startsWith('top') ? margin : canvas.height - margin - boxHeight;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(x, y, boxWidth, boxHeight);
+
+        ctx.fillStyle = 'white';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => {
+            if (i === 1) ctx.font = `${Math.round(fontSize * 0.8)}px sans-serif`;
+            ctx.fillText(line, x + padding, y + padding + i * lineHeight);
+        });
+    }
+
+    /**
+     * Write the selected outputs
+     */
+    async _export(frames) {
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        const base = `${this.sceneName}_${stamp}`;
+        const written = [];
+
+        if (this.outputs.has('png')) {
+            for (const { time, canvas } of frames) {
+                this._download(await this._toBlob(canvas, 'image/png'), `${base}_${time.id}.png`);
+                written.push(`${time.id}.png`);
+            }
+        }
+
+        if (this.outputs.has('composite') && frames.length > 1) {
+            this._download(await this._toBlob(this._composite(frames), 'image/png'), `${base}_side-by-side.png`);
+            written.push('side-by-side.png');
+        }
+
+        if ((this.outputs.has('gif') || this.outputs.has('webp')) && frames.length > 1) {
+            const scaled = frames.map(({ canvas }) => this._scale(canvas, this.animationMaxWidth));
+            const { width, height } = scaled[0];
+
+            if (this.outputs.has('gif')) {
+                this._setStatus('Encoding GIF...');
+                // Let the status paint before the (synchronous) encode
+                await new Promise(resolve => setTimeout(resolve, 0));
+                const images = scaled.map(canvas => canvas.getContext('2d').getImageData(0, 0, width, height));
+                const gif = encodeGif(images, this.blinkInterval);
+                this._download(new Blob([gif], { type: 'image/gif' }), `${base}_blink.gif`);
+                written.push('blink.gif');
+            }
+
+            if (this.outputs.has('webp')) {
+                const stills = await Promise.all(scaled.map(canvas => this._toBlob(canvas, 'image/webp', 0.9)));
+                if (stills.every(blob => blob.type === 'image/webp')) {
+                    const buffers = await Promise.all(stills.map(blob => blob.arrayBuffer()));
+                    const webp = encodeAnimatedWebP(buffers, width, height, this.blinkInterval);
+                    this._download(new Blob([webp], { type: 'image/webp' }), `${base}_blink.webp`);
+                    written.push('blink.webp');
+                } else {
+                    console.warn('This browser cannot encode WebP; skipping the blink WebP');
+                }
+            }
+        }
+
+        this._setStatus(written.length > 0 ? `Saved ${written.join(', ')}` : 'Nothing to save (select two or more times for composites)');
+    }
+
+    /**
+     * Frames side by side, in timeline order
+     */
+    _composite(frames) {
+        const gap = Math.max(2, Math.round(frames[0].canvas.width * 0.004));
+        const canvas = document.createElement('canvas');
+        canvas.width = frames.reduce((sum, { canvas: frame }) => sum + frame.width, 0) + gap * (frames.length - 1);
+        canvas.height = Math.max(...frames.map(({ canvas: frame }) => frame.height));
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        let x = 0;
+        frames.forEach(({ canvas: frame }) => {
+            ctx.drawImage(frame, x, 0);
+            x += frame.width + gap;
+        });
+        return canvas;
+    }
+
+    _scale(source, maxWidth) {
+        if (source.width <= maxWidth) return source;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = maxWidth;
+        canvas.height = Math.round(source.height * maxWidth / source.width);
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    _toBlob(canvas, type, quality) {
+        return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    }
+
+    _download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        // Revoke later: several downloads are started back to back
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
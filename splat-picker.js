@@ -0,0 +1,46 @@
+/**
+ * Splat Picker
+ *
+ * Finds the world-space point on the visible gaussian splat under a screen position,
+ * using PlayCanvas' depth picker. Rendered at reduced resolution to keep picking cheap.
+ */
+
+import * as pc from 'playcanvas';
+
+export class SplatPicker {
+    constructor(app, camera, scale = 0.25) {
+        this.app = app;
+        this.camera = camera;
+        this.scale = scale; // picker resolution relative to the canvas
+
+        this.picker = new pc.Picker(app, 1, 1, true);
+    }
+
+    /**
+     * Pick the splat point under a screen position
+     * @param {number} clientX - Mouse/touch X in CSS pixels
+     * @param {number} clientY - Mouse/touch Y in CSS pixels
+     * @returns {Promise<pc.Vec3|null>} - World position, or null if nothing was hit
+     */
+    async pick(clientX, clientY) {
+        const canvas = this.app.graphicsDevice.canvas;
+        const rect = canvas.getBoundingClientRect();
+
+        const width = Math.max(1, Math.floor(rect.width * this.scale));
+        const height = Math.max(1, Math.floor(rect.height * this.scale));
+        this.picker.resize(width, height);
+
+        const worldLayer = this.app.scene.layers.getLayerByName('World');
+        this.picker.prepare(this.camera.camera, this.app.scene, [worldLayer]);
+
+        const x = (clientX - rect.left) * this.scale;
+        const y = (clientY - rect.top) * this.scale;
+
+        try {
+            return await this.picker.getWorldPointAsync(x, y);
+        } catch (err) {
+            console.warn('Splat pick failed:', err);
+            return null;
+        }
+    }
+}
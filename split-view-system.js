@@ -0,0 +1,413 @@
+/**
+ * Split View System for Time Toggle Scenes
+ *
+ * Renders a "before/after" curtain comparison: the left side of the screen shows the
+ * left endpoint capture, the right side shows the right endpoint, both from the same camera.
+ * A second camera (child of the main camera) renders the right endpoint on its own layer,
+ * clipped by a scissor rect that follows the draggable divider.
+ */
+
+import * as pc from 'playcanvas';
+
+export class SplitViewSystem {
+    constructor(app, camera, timeToggleSystem, config) {
+        this.app = app;
+        this.camera = camera;
+        this.timeToggle = timeToggleSystem;
+        this.config = config.timeToggle.splitView || {};
+
+        this.active = false;
+        this.position = this.config.initialPosition ?? 0.5; // 0 = left edge, 1 = right edge
+
+        // Rendering
+        this.splitLayer = null;
+        this.splitCamera = null;
+        this.leftEntity = null;
+        this.rightEntity = null;
+
+        // UI elements
+        this.divider = null;
+        this.handle = null;
+        this.leftLabel = null;
+        this.rightLabel = null;
+        this.compareBtn = null;
+        this.dragPointerId = null;
+
+        this._createLayer();
+    }
+
+    /**
+     * Create the layer that holds the right endpoint splat (rendered only by the split camera)
+     */
+    _createLayer() {
+        this.splitLayer = new pc.Layer({ name: 'TimeSplit' });
+
+        const layers = this.app.scene.layers;
+        const worldLayer = layers.getLayerByName('World');
+
+        if (worldLayer) {
+            // Place directly after World so overlays (e.g. Portal layer) still draw on top
+            layers.insertOpaque(this.splitLayer, layers.getOpaqueIndex(worldLayer) + 1);
+            layers.insertTransparent(this.splitLayer, layers.getTransparentIndex(worldLayer) + 1);
+        } else {
+            layers.push(this.splitLayer);
+        }
+    }
+
+    /**
+     * Create the split camera as a child of the main camera so it always shares its pose
+     */
+    _createSplitCamera() {
+        const mainCam = this.camera.camera;
+        const excluded = [pc.LAYERID_WORLD, pc.LAYERID_DEPTH, pc.LAYERID_SKYBOX];
+
+        this.splitCamera = new pc.Entity('split_camera');
+        this.splitCamera.addComponent('camera', {
+            clearColor: mainCam.clearColor.clone(),
+            farClip: mainCam.farClip,
+            nearClip: mainCam.nearClip,
+            fov: mainCam.fov,
+            priority: mainCam.priority + 1,
+            layers: [this.splitLayer.id].concat(mainCam.layers.filter(id => !excluded.includes(id)))
+        });
+
+        this.camera.addChild(this.splitCamera);
+
+        // The pose follows via the parent; projection settings have to be copied
+        this.app.on('update', () => this._syncProjection());
+    }
+
+    /**
+     * Match the main camera's projection and clear color (fov changes e.g. on resize),
+     * so both halves line up at the divider
+     */
+    _syncProjection() {
+        if (!this.active || !this.splitCamera) return;
+
+        const mainCam = this.camera.camera;
+        const splitCam = this.splitCamera.camera;
+        splitCam.fov = mainCam.fov;
+        splitCam.horizontalFov = mainCam.horizontalFov;
+        splitCam.aspectRatioMode = mainCam.aspectRatioMode;
+        splitCam.aspectRatio = mainCam.aspectRatio;
+        splitCam.nearClip = mainCam.nearClip;
+        splitCam.farClip = mainCam.farClip;
+        if (!splitCam.clearColor.equals(mainCam.clearColor)) {
+            splitCam.clearColor = mainCam.clearColor;
+        }
+    }
+
+    /**
+     * Add the compare button to the time toggle UI and create the divider overlay
+     */
+    createUI() {
+        const container = this.timeToggle.sliderContainer;
+
+        this.compareBtn = document.createElement('button');
+        this.compareBtn.id = 'split-view-btn';
+        this.compareBtn.textContent = '◧ Compare';
+        this.compareBtn.title = 'Split view (\\)';
+        this.compareBtn.style.cssText = `
+            background: rgba(0, 0, 0, 0.7);
+            backdrop-filter: blur(10px);
+            color: white;
+            border: 2px solid rgba(255, 255, 255, 0.3);
+            border-radius: 25px;
+            padding: 12px 18px;
+            font-size: 14px;
+            font-weight: bold;
+            cursor: pointer;
+            transition: all 0.2s ease;
+        `;
+        this.compareBtn.addEventListener('click', () => this.toggle());
+
+        if (container) {
+            container.appendChild(this.compareBtn);
+        }
+
+        // Divider: full-height line with a round drag handle
+        this.divider = document.createElement('div');
+        this.divider.id = 'split-view-divider';
+        this.divider.style.cssText = `
+            position: fixed;
+            top: 0;
+            bottom: 0;
+            width: 24px;
+            margin-left: -12px;
+            cursor: ew-resize;
+            touch-action: none;
+            z-index: 150;
+            display: none;
+        `;
+
+        const line = document.createElement('div');
+        line.style.cssText = `
+            position: absolute;
+            top: 0;
+            bottom: 0;
+            left: 11px;
+            width: 2px;
+            background: rgba(255, 255, 255, 0.8);
+            box-shadow: 0 0 4px rgba(0, 0, 0, 0.6);
+            pointer-events: none;
+        `;
+
+        this.handle = document.createElement('div');
+        this.handle.textContent = '⟷';
+        this.handle.style.cssText = `
+            position: absolute;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            width: 40px;
+            height: 40px;
+            border-radius: 50%;
+            background: rgba(0, 0, 0, 0.7);
+            border: 2px solid rgba(255, 255, 255, 0.8);
+            color: white;
+            font-size: 18px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            pointer-events: none;
+            user-select: none;
+        `;
+
+        this.divider.appendChild(line);
+        this.divider.appendChild(this.handle);
+
+        // Time labels on either side of the divider
+        const labelStyle = `
+            position: fixed;
+            top: 60px;
+            background: rgba(0, 0, 0, 0.7);
+            color: white;
+            font-size: 13px;
+            font-weight: bold;
+            padding: 6px 12px;
+            border-radius: 4px;
+            pointer-events: none;
+            z-index: 150;
+            display: none;
+        `;
+        this.leftLabel = document.createElement('div');
+        this.leftLabel.style.cssText = labelStyle;
+        this.rightLabel = document.createElement('div');
+        this.rightLabel.style.cssText = labelStyle;
+
+        document.body.appendChild(this.divider);
+        document.body.appendChild(this.leftLabel);
+        document.body.appendChild(this.rightLabel);
+
+        // Pointer events cover mouse, touch and pen
+        this.divider.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.dragPointerId = e.pointerId;
+            this.divider.setPointerCapture(e.pointerId);
+        });
+
+        this.divider.addEventListener('pointermove', (e) => {
+            if (e.pointerId !== this.dragPointerId) return;
+            e.preventDefault();
+            this.setPosition(e.clientX / window.innerWidth);
+        });
+
+        const endDrag = (e) => {
+            if (e.pointerId !== this.dragPointerId) return;
+            this.dragPointerId = null;
+            if (this.divider.hasPointerCapture(e.pointerId)) {
+                this.divider.releasePointerCapture(e.pointerId);
+            }
+        };
+        this.divider.addEventListener('pointerup', endDrag);
+        this.divider.addEventListener('pointercancel', endDrag);
+
+        window.addEventListener('resize', () => this._updateUI());
+    }
+
+    /**
+     * Enter split view with the current comparison endpoints
+     */
+    async enable() {
+        if (this.active) return;
+
+        const leftId = this.timeToggle.leftEndpoint;
+        const rightId = this.timeToggle.rightEndpoint;
+
+        if (leftId === rightId) {
+            console.warn('Split view needs two different endpoints');
+            return;
+        }
+
+        // Finish any running crossfade before taking over entity visibility
+        this.timeToggle.cancelTransition();
+
+        this.active = true;
+        this.timeToggle.compareMode = true;
+        if (this.compareBtn) this.compareBtn.textContent = '🕐 Loading...';
+
+        try {
+            await Promise.all([
+                this.timeToggle.loadTimeState(leftId, false),
+                this.timeToggle.loadTimeState(rightId, false)
+            ]);
+        } catch (err) {
+            console.error('Failed to load split view endpoints:', err);
+            this.active = false;
+            this.timeToggle.compareMode = false;
+            this._updateUI();
+            return;
+        }
+
+        // Disabled while loading
+        if (!this.active) return;
+
+        this._applyEndpoints();
+
+        if (!this.splitCamera) {
+            this._createSplitCamera();
+        }
+        this.splitCamera.enabled = true;
+        this._syncProjection();
+
+        this._updateScissor();
+        this._updateUI();
+
+        console.log(`Split view enabled: ${leftId} | ${rightId}`);
+    }
+
+    /**
+     * Leave split view and restore the active time state
+     */
+    disable() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.timeToggle.compareMode = false;
+        this._restoreEntities();
+
+        if (this.splitCamera) {
+            this.splitCamera.enabled = false;
+        }
+
+        // The comparison side no longer has to stay loaded
+        this.timeToggle.enforceMemoryBudget();
+
+        this._updateUI();
+        console.log('Split view disabled');
+    }
+
+    /**
+     * Toggle split view on/off
+     */
+    toggle() {
+        if (this.active) {
+            this.disable();
+        } else {
+            this.enable();
+        }
+    }
+
+    /**
+     * Set the divider position
+     * @param {number} position - Normalized screen X (0 = left edge, 1 = right edge)
+     */
+    setPosition(position) {
+        this.position = pc.math.clamp(position, 0, 1);
+        this._updateScissor();
+        this._updateUI();
+    }
+
+    /**
+     * Get the divider position (normalized screen X)
+     */
+    getPosition() {
+        return this.position;
+    }
+
+    /**
+     * Re-apply the endpoints after TimeToggleSystem.setEndpoints() changes them
+     */
+    async refreshEndpoints() {
+        if (!this.active) return;
+
+        this.disable();
+        await this.enable();
+    }
+
+    /**
+     * Show the left endpoint on the World layer and the right endpoint on the split layer
+     */
+    _applyEndpoints() {
+        const entities = this.timeToggle.splatEntities;
+        this.leftEntity = entities[this.timeToggle.leftEndpoint];
+        this.rightEntity = entities[this.timeToggle.rightEndpoint];
+
+        // Only the two endpoints are visible while comparing
+        Object.values(entities).forEach(entity => {
+            entity.enabled = entity === this.leftEntity || entity === this.rightEntity;
+        });
+
+        this.leftEntity.gsplat.layers = [pc.LAYERID_WORLD];
+        this.rightEntity.gsplat.layers = [this.splitLayer.id];
+    }
+
+    /**
+     * Move the right endpoint back to the World layer and show only the active time
+     */
+    _restoreEntities() {
+        if (this.rightEntity && this.rightEntity.gsplat) {
+            this.rightEntity.gsplat.layers = [pc.LAYERID_WORLD];
+        }
+
+        const activeId = this.timeToggle.activeTimeId;
+        Object.entries(this.timeToggle.splatEntities).forEach(([timeId, entity]) => {
+            entity.enabled = timeId === activeId;
+        });
+
+        this.leftEntity = null;
+        this.rightEntity = null;
+    }
+
+    /**
+     * Clip the split camera to the area right of the divider (scissor rect is bottom-left origin)
+     */
+    _updateScissor() {
+        if (!this.splitCamera) return;
+        this.splitCamera.camera.scissorRect = new pc.Vec4(this.position, 0, 1 - this.position, 1);
+    }
+
+    /**
+     * Sync divider, labels and compare button with current state
+     */
+    _updateUI() {
+        if (!this.divider) return;
+
+        const display = this.active ? 'block' : 'none';
+        this.divider.style.display = display;
+        this.leftLabel.style.display = display;
+        this.rightLabel.style.display = display;
+
+        if (this.compareBtn) {
+            this.compareBtn.textContent = this.active ? '✕ Exit compare' : '◧ Compare';
+        }
+
+        // Hides the single-time toggle while comparing
+        this.timeToggle.updateUI();
+
+        if (!this.active) return;
+
+        const x = this.position * window.innerWidth;
+        this.divider.style.left = `${x}px`;
+
+        const leftTime = this.timeToggle.times.find(t => t.id === this.timeToggle.leftEndpoint);
+        const rightTime = this.timeToggle.times.find(t => t.id === this.timeToggle.rightEndpoint);
+        this.leftLabel.textContent = leftTime?.label || this.timeToggle.leftEndpoint;
+        this.rightLabel.textContent = rightTime?.label || this.timeToggle.rightEndpoint;
+
+        this.leftLabel.style.right = `${window.innerWidth - x + 16}px`;
+        this.leftLabel.style.left = 'auto';
+        this.rightLabel.style.left = `${x + 16}px`;
+    }
+}
@@ -3,12 +3,81 @@
  *
  * Manages loading and switching between gaussian splat scenes captured at different times.
  * Uses LOD-aware loading to minimize memory while enabling seamless time transitions.
+ *
+ * Events (subscribe with on / once, unsubscribe with off):
+ *   load:start          (timeId, { preload, attempt })
+ *   load:progress       (timeId, progress)   - chunk streaming, see getLoadProgress()
+ *   load:complete       (timeId, entity)     - lod-meta loaded and entity created
+ *   load:error          (timeId, error)      - all retries failed (not fired for preloads)
+ *   switch:start        (timeId, previousTimeId)
+ *   switch:end          (timeId, previousTimeId)
+ *   transition:progress (progress, fromId, toId) - eased crossfade progress 0..1
+ *   endpoints:change    (leftId, rightId)
  */
 
 import * as pc from 'playcanvas';
+import { TimelineScrubber } from './timeline-scrubber.js';
+import { LoadProgressIndicator } from './load-progress-ui.js';
+import { isValidTransform, buildSplatMatrix, applyMatrixToEntity } from './transform-utils.js';
+
+// Easing curves for the crossfade (t in 0..1)
+export const EASING = {
+    linear: t => t,
+    easeIn: t => t * t,
+    easeOut: t => t * (2 - t),
+    easeInOut: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2)
+};
+
+// Work buffer modifier that scales splat opacity by a per-entity uniform
+const FADE_MODIFIER = {
+    glsl: `
+        uniform float uTimeFade;
+        void modifySplatCenter(inout vec3 center) {}
+        void modifySplatRotationScale(vec3 originalCenter, vec3 modifiedCenter, inout vec4 rotation, inout vec3 scale) {}
+        void modifySplatColor(vec3 center, inout vec4 color) { color.a *= uTimeFade; }
+    `,
+    wgsl: `
+        uniform uTimeFade: f32;
+        fn modifySplatCenter(center: ptr<function, vec3f>) {}
+        fn modifySplatRotationScale(originalCenter: vec3f, modifiedCenter: vec3f, rotation: ptr<function, vec4f>, scale: ptr<function, vec3f>) {}
+        fn modifySplatColor(center: vec3f, color: ptr<function, vec4f>) { (*color).a = (*color).a * uniform.uTimeFade; }
+    `
+};
+
+// Delay between single-level LOD upgrades of a preloaded capture once it is shown
+const LOD_UPGRADE_STEP_MS = 400;
+
+function isMobileDevice() {
+    return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) ||
+        (navigator.maxTouchPoints && navigator.maxTouchPoints > 2);
+}
+
+// Seconds between load:progress checks
+const PROGRESS_POLL_INTERVAL = 0.25;
+
+let chunkTrackingWarned = false;
 
-export class TimeToggleSystem {
+/**
+ * Chunk progress reads engine internals of the octree (PlayCanvas 2.23). If an engine
+ * update changes them, progress is reported as unknown instead of complete.
+ */
+function hasChunkTracking(octree) {
+    const supported = octree._requesters instanceof Map &&
+        octree.fileResources instanceof Map &&
+        Array.isArray(octree.files) &&
+        typeof octree.assetLoader?.hasFailed === 'function';
+
+    if (!supported && !chunkTrackingWarned) {
+        chunkTrackingWarned = true;
+        console.warn('Chunk loading progress is not available with this PlayCanvas version; progress is reported as unknown');
+    }
+    return supported;
+}
+
+export class TimeToggleSystem extends pc.EventHandler {
     constructor(app, config) {
+        super();
+
         this.app = app;
         this.config = config.timeToggle;
         this.fullConfig = config; // Keep reference to full config for LOD settings
@@ -19,29 +88,80 @@ export class TimeToggleSystem {
         this.splatEntities = {}; // { timeId: pc.Entity }
         this.splatAssets = {};   // { timeId: pc.Asset }
         this.loadingStates = {}; // { timeId: 'loading' | 'loaded' | 'error' }
+        this.loadErrors = {};    // { timeId: error message } for failed loads
+        this.loadPromises = {};  // { timeId: Promise } shared by concurrent loadTimeState calls
+        this.pendingTimeId = null; // Time being loaded for a switch
+
+        // Memory budget: least recently viewed captures beyond it are unloaded
+        this.lastViewed = {};     // { timeId: timestamp }
+        this.estimatedBytes = {}; // { timeId: bytes }
+        const budget = this.config.memoryBudget || {};
+        this.memoryBudget = { ...budget[isMobileDevice() ? 'mobile' : 'desktop'], bytesPerSplat: budget.bytesPerSplat || 64 };
+
+        // Background preloading of neighbouring times, capped at a coarse LOD
+        const preloadSetting = this.config.preloadInactive || {};
+        this.preloadEnabled = !!preloadSetting[isMobileDevice() ? 'mobile' : 'desktop'];
+        this.preloadLOD = this.config.preloadInactiveLOD ?? 5;
+        this.preloadedTimes = {}; // { timeId: full-quality lodRangeMin to restore when shown }
+        this.upgradingTimes = {}; // { timeId: true } while stepping back to full quality
+        this.preloadBytes = {};   // { timeId: bytes at the preload LOD }, kept across unloads
+        this.backgroundLoads = new Set(); // Preloads no full load has joined (failures stay silent)
+        this.preloading = false;
 
         // Comparison endpoints (which two times the slider compares)
         this.leftEndpoint = this.times[0].id;  // oldest by default
         this.rightEndpoint = this.times[this.times.length - 1].id;  // newest by default
 
+        // Split view comparison (set by SplitViewSystem) - single-time switching is paused
+        this.compareMode = false;
+
         // Transition state
         this.transitioning = false;
         this.transitionProgress = 0;
         this.transitionFrom = null;
         this.transitionTo = null;
-        this.transitionDuration = 0.5; // seconds
+        this.transitionDuration = this.config.transitionDuration ?? 0.5; // seconds, 0 = hard cut
+        this.transitionEasing = EASING[this.config.transitionEasing] || EASING.easeInOut;
+        this._cancelTransition = null;
 
         // Debounce/lock to prevent rapid switching
         this.switchLock = false;
         this.switchCooldown = 300; // ms minimum between switches
-
+        this.switchCounter = 0;    // Identifies the switch that owns the lock
+        this.queuedTimeId = null;  // Latest request made while locked, run when the lock is released
 
         // UI elements
         this.sliderContainer = null;
         this.toggleBtn = null;
+        this.expandBtn = null;
+        this.timeline = null;
+        this.loadProgress = null;
 
-        // Callbacks
+        // 'compact' = single toggle button, 'timeline' = scrubber with one tick per capture
+        // 'auto' picks the timeline when there are more than two captures
+        const uiMode = this.config.uiMode || 'auto';
+        this.uiMode = uiMode === 'auto' ? (this.times.length > 2 ? 'timeline' : 'compact') : uiMode;
+
+        // Single-callback hooks, kept for existing code; they are just event listeners
         this.onTimeChange = null;
+        this.onEndpointsChange = null;
+        this.on('switch:end', (timeId, previousTimeId) => {
+            if (this.onTimeChange) this.onTimeChange(timeId, previousTimeId);
+        });
+        this.on('endpoints:change', (leftId, rightId) => {
+            if (this.onEndpointsChange) this.onEndpointsChange(leftId, rightId);
+        });
+
+        // load:progress is fired when a capture's chunk counts change
+        this.lastProgress = {}; // { timeId: 'loaded/pending/failed' }
+        this.progressTimer = 0;
+        this.app.on('update', (dt) => {
+            this.progressTimer += dt;
+            if (this.progressTimer >= PROGRESS_POLL_INTERVAL) {
+                this.progressTimer = 0;
+                this._pollLoadProgress();
+            }
+        });
 
         console.log('TimeToggleSystem initialized with', this.times.length, 'time states');
     }
@@ -50,23 +170,33 @@ export class TimeToggleSystem {
      * Initialize the system - load primary time state and create UI
      */
     async initialize() {
-        // Create UI first
-        this.createUI();
+        // Create UI first (initialize runs again when the user retries a failed first load)
+        if (!this.sliderContainer) {
+            this.createUI();
+        }
 
         // Load the default/active time state fully
         await this.loadTimeState(this.activeTimeId, false);
 
-        // Single scene loading - no preload on any platform
-        // Dual scene loading causes memory pressure and coverage gaps
-        console.log('Single scene mode: skipping preload, will load on-demand when toggling');
+        // Other times load on demand when shown; memoryBudget limits how many stay resident
+        const { maxResidentTimes, maxMegabytes } = this.memoryBudget;
+        console.log(`Memory budget: ${maxResidentTimes || 'unlimited'} resident times` +
+            (maxMegabytes ? `, ~${maxMegabytes} MB` : ''));
+
+        // Neighbouring times load in the background at coarse LOD so toggling is instant
+        if (this.preloadEnabled) {
+            this.preloadNeighbours();
+        }
 
         return this.splatEntities[this.activeTimeId];
     }
 
     /**
-     * Load a time state's splat data
+     * Load a time state's splat data. Concurrent calls for the same time share one load
+     * (and its failure); failed attempts are retried with exponential backoff.
      * @param {string} timeId - The time state to load
-     * @param {boolean} preload - If true, loads at lowest LOD for preview
+     * @param {boolean} preload - If true, loads capped at preloadInactiveLOD (upgraded to full
+     *   LOD once the time is shown)
      */
     async loadTimeState(timeId, preload = false) {
         const timeConfig = this.times.find(t => t.id === timeId);
@@ -77,24 +207,82 @@ export class TimeToggleSystem {
 
         if (this.loadingStates[timeId] === 'loaded') {
             console.log(`Time state ${timeId} already loaded`);
+            if (!preload) this.upgradeToFullLOD(timeId);
             return this.splatEntities[timeId];
         }
 
-        if (this.loadingStates[timeId] === 'loading') {
+        let promise = this.loadPromises[timeId];
+        if (promise) {
             console.log(`Time state ${timeId} already loading, waiting...`);
-            // Wait for existing load to complete
-            return new Promise((resolve) => {
-                const checkLoaded = setInterval(() => {
-                    if (this.loadingStates[timeId] === 'loaded') {
-                        clearInterval(checkLoaded);
-                        resolve(this.splatEntities[timeId]);
-                    }
-                }, 100);
-            });
+            if (!preload) this.backgroundLoads.delete(timeId);
+        } else {
+            promise = this._loadWithRetry(timeConfig, preload);
+            this.loadPromises[timeId] = promise;
+
+            const clear = () => {
+                if (this.loadPromises[timeId] === promise) delete this.loadPromises[timeId];
+            };
+            promise.then(clear, clear);
         }
 
+        const entity = await promise;
+
+        // A full load that joined a running preload still wants full quality
+        if (!preload) this.upgradeToFullLOD(timeId);
+        return entity;
+    }
+
+    /**
+     * Load attempts for one time state, with backoff between failures
+     */
+    async _loadWithRetry(timeConfig, preload) {
+        const timeId = timeConfig.id;
+        const { attempts = 3, baseDelay = 1000 } = this.config.loadRetry || {};
+
         this.loadingStates[timeId] = 'loading';
-        console.log(`Loading time state: ${timeId} (preload: ${preload})`);
+        delete this.loadErrors[timeId];
+        if (preload) this.backgroundLoads.add(timeId);
+        if (this.timeline) this.timeline.update();
+
+        for (let attempt = 1; ; attempt++) {
+            console.log(`Loading time state: ${timeId} (preload: ${preload}, attempt ${attempt}/${attempts})`);
+            this.fire('load:start', timeId, { preload, attempt });
+            try {
+                const entity = await this._loadAsset(timeConfig, preload);
+                this.backgroundLoads.delete(timeId);
+                this.fire('load:complete', timeId, entity);
+                return entity;
+            } catch (err) {
+                this._discardAsset(timeId);
+
+                // Nobody asked to see a failed preload: back to unloaded, no error shown
+                if (attempt >= attempts && this.backgroundLoads.delete(timeId)) {
+                    delete this.loadingStates[timeId];
+                    if (this.timeline) this.timeline.update();
+                    throw err;
+                }
+
+                if (attempt >= attempts) {
+                    console.error(`Error loading time state ${timeId}:`, err);
+                    this.loadingStates[timeId] = 'error';
+                    this.loadErrors[timeId] = String(err?.message || err);
+                    if (this.timeline) this.timeline.update();
+                    this.fire('load:error', timeId, err);
+                    throw err;
+                }
+
+                const delay = baseDelay * Math.pow(2, attempt - 1);
+                console.warn(`Loading ${timeId} failed (${err?.message || err}), retrying in ${delay} ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Load lod-meta.json for a time state and create its splat entity
+     */
+    _loadAsset(timeConfig, preload) {
+        const timeId = timeConfig.id;
 
         return new Promise((resolve, reject) => {
             const asset = new pc.Asset(`splat_${timeId}`, 'gsplat', {
@@ -114,47 +302,10 @@ export class TimeToggleSystem {
 
                 // Apply alignment transform if specified (from ICP alignment)
                 const transformData = this.config.transforms[timeId];
-                if (transformData && Array.isArray(transformData) && transformData.length === 16) {
-                    // The ICP transform aligns Dec to Oct in Z-up space
+                if (isValidTransform(transformData)) {
+                    // The ICP transform aligns this capture to the reference in Z-up space
                     // We need: Y-up rotation * ICP alignment
-                    // So: first align in Z-up, then rotate to Y-up
-
-                    // Create the -90 X rotation matrix (Z-up to Y-up)
-                    const zToYMat = new pc.Mat4();
-                    zToYMat.setFromEulerAngles(-90, 0, 0);
-
-                    // Create alignment matrix from column-major data
-                    const alignmentMat = new pc.Mat4();
-                    alignmentMat.set(transformData);
-
-                    // Combined: rotation * alignment (apply alignment first, then rotate)
-                    const combinedMat = new pc.Mat4();
-                    combinedMat.copy(zToYMat);
-                    combinedMat.mul(alignmentMat);
-
-                    // Extract position and rotation from combined matrix
-                    const pos = new pc.Vec3();
-                    const scale = new pc.Vec3();
-                    combinedMat.getTranslation(pos);
-                    combinedMat.getScale(scale);
-
-                    // For rotation, use the matrix directly via euler angles
-                    // Extract rotation by removing scale
-                    const rotMat = new pc.Mat4();
-                    rotMat.copy(combinedMat);
-                    // Normalize the rotation part
-                    const sx = 1 / scale.x, sy = 1 / scale.y, sz = 1 / scale.z;
-                    rotMat.data[0] *= sx; rotMat.data[1] *= sx; rotMat.data[2] *= sx;
-                    rotMat.data[4] *= sy; rotMat.data[5] *= sy; rotMat.data[6] *= sy;
-                    rotMat.data[8] *= sz; rotMat.data[9] *= sz; rotMat.data[10] *= sz;
-
-                    const rot = new pc.Quat();
-                    rot.setFromMat4(rotMat);
-
-                    entity.setLocalPosition(pos);
-                    entity.setLocalRotation(rot);
-                    entity.setLocalScale(scale);
-
+                    const { pos, scale } = applyMatrixToEntity(entity, buildSplatMatrix(transformData));
                     console.log(`Applied alignment transform for ${timeId}`, { pos, scale });
                 } else {
                     // No alignment transform - just apply Z-up to Y-up rotation
@@ -169,30 +320,169 @@ export class TimeToggleSystem {
                 this.app.root.addChild(entity);
                 this.splatEntities[timeId] = entity;
                 this.loadingStates[timeId] = 'loaded';
+                if (this.timeline) this.timeline.update();
 
                 // Apply LOD distances from config (critical for proper chunk loading)
-                const isMobileDevice = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) ||
-                    (navigator.maxTouchPoints && navigator.maxTouchPoints > 2);
-                const lodPreset = this.fullConfig.lod[isMobileDevice ? 'mobile' : 'desktop'];
+                const lodPreset = this.fullConfig.lod[isMobileDevice() ? 'mobile' : 'desktop'];
                 if (entity.gsplat && lodPreset?.lodDistances) {
                     entity.gsplat.lodDistances = lodPreset.lodDistances;
                     console.log(`Applied lodDistances to ${timeId}:`, lodPreset.lodDistances);
                 }
 
+                // Preloads only fetch the coarse LOD files until the time is shown
+                if (preload && entity.gsplat) {
+                    this.preloadedTimes[timeId] = entity.gsplat.lodRangeMin;
+                    entity.gsplat.lodRangeMin = Math.max(entity.gsplat.lodRangeMin, this.preloadLOD);
+                }
+
+                this.preloadBytes[timeId] = this._estimateBytes(asset, this._preloadLodLevel());
+                this.estimatedBytes[timeId] = preload ? this.preloadBytes[timeId] : this._estimateBytes(asset, this._fullLodLevel());
+                if (!preload) this._touch(timeId);
                 console.log(`Time state loaded: ${timeId}`);
+
+                // Make room by unloading the least recently viewed captures (a preload
+                // never viewed is the first to go)
+                this.enforceMemoryBudget(preload ? undefined : timeId);
                 resolve(entity);
             });
 
-            asset.on('error', (err) => {
-                console.error(`Error loading time state ${timeId}:`, err);
-                this.loadingStates[timeId] = 'error';
-                reject(err);
-            });
+            asset.once('error', reject);
 
             this.app.assets.load(asset);
         });
     }
 
+    /**
+     * Remove a failed asset from the registry so the next attempt starts clean
+     */
+    _discardAsset(timeId) {
+        const asset = this.splatAssets[timeId];
+        if (!asset) return;
+
+        asset.off();
+        asset.unload();
+        this.app.assets.remove(asset);
+        delete this.splatAssets[timeId];
+    }
+
+    /**
+     * Loading progress of a time state. Once lod-meta.json has loaded, progress counts
+     * the chunk files the renderer has loaded against those it still wants at the
+     * current camera position. unknown is true when the engine doesn't expose the
+     * chunk requests (complete then stays false).
+     * @returns {{ state: string, loaded: number, pending: number, failed: number,
+     *             totalChunks: number, fraction: number, complete: boolean, unknown: boolean,
+     *             error: string|null }}
+     */
+    getLoadProgress(timeId) {
+        const state = this.loadingStates[timeId] || 'unloaded';
+        const progress = {
+            state,
+            loaded: 0,
+            pending: 0,
+            failed: 0,
+            totalChunks: 0,
+            fraction: 0,
+            complete: false,
+            unknown: false,
+            error: this.loadErrors[timeId] || null
+        };
+
+        const octree = this.splatAssets[timeId]?.resource?.octree;
+        if (state !== 'loaded' || !octree) return progress;
+
+        if (!hasChunkTracking(octree)) {
+            progress.unknown = true;
+            return progress;
+        }
+
+        // Outstanding chunk requests, collected per placement inside the octree
+        const requested = new Set();
+        octree._requesters.forEach(requests => requests.forEach((priority, fileIndex) => requested.add(fileIndex)));
+
+        requested.forEach((fileIndex) => {
+            if (octree.fileResources.has(fileIndex)) return;
+            if (octree.assetLoader.hasFailed(octree.files[fileIndex].url)) {
+                progress.failed++;
+            } else {
+                progress.pending++;
+            }
+        });
+
+        progress.loaded = octree.fileResources.size;
+        progress.totalChunks = octree.files.length;
+
+        const wanted = progress.loaded + progress.pending + progress.failed;
+        progress.fraction = wanted > 0 ? progress.loaded / wanted : 0;
+        progress.complete = progress.loaded > 0 && progress.pending === 0 && progress.failed === 0;
+        if (progress.failed > 0 && !progress.error) {
+            progress.error = `${progress.failed} chunk${progress.failed === 1 ? '' : 's'} failed to load`;
+        }
+        return progress;
+    }
+
+    /**
+     * True once a loaded time state shows at full quality: no coarse-LOD preload or
+     * upgrade in progress and every chunk it wants from the current view has loaded
+     */
+    isSettled(timeId) {
+        if (this.loadingStates[timeId] !== 'loaded') return false;
+        if (timeId in this.preloadedTimes || this.upgradingTimes[timeId]) return false;
+        return this.getLoadProgress(timeId).complete;
+    }
+
+    /**
+     * Fire load:progress for every loading or resident capture whose counts changed
+     */
+    _pollLoadProgress() {
+        if (!this.hasEvent('load:progress')) return;
+
+        this.times.forEach(({ id }) => {
+            const state = this.loadingStates[id];
+            if (state !== 'loading' && state !== 'loaded') {
+                delete this.lastProgress[id];
+                return;
+            }
+
+            const progress = this.getLoadProgress(id);
+            const key = `${progress.state}/${progress.unknown}/${progress.loaded}/${progress.pending}/${progress.failed}`;
+            if (this.lastProgress[id] !== key) {
+                this.lastProgress[id] = key;
+                this.fire('load:progress', id, progress);
+            }
+        });
+    }
+
+    /**
+     * Retry a failed time state: reloads lod-meta.json if that failed, otherwise
+     * requests the failed chunk files again
+     * @returns {Promise<pc.Entity|null>}
+     */
+    async retryLoad(timeId) {
+        if (this.loadingStates[timeId] === 'loaded') {
+            const octree = this.splatAssets[timeId]?.resource?.octree;
+            const loader = octree?.assetLoader;
+            if (loader) {
+                octree.files.forEach(({ url }) => {
+                    if (loader.hasFailed(url)) {
+                        loader.unload(url); // Clears the failed flag
+                        loader.load(url);
+                    }
+                });
+            }
+            console.log(`Retrying failed chunks for ${timeId}`);
+            return this.splatEntities[timeId];
+        }
+
+        console.log(`Retrying load of ${timeId}`);
+
+        if (timeId === this.activeTimeId) {
+            return this.loadTimeState(timeId, false);
+        }
+        await this.switchToTime(timeId);
+        return this.splatEntities[timeId] || null;
+    }
+
     /**
      * Create simple toggle button UI
      */
@@ -208,6 +498,9 @@ export class TimeToggleSystem {
             z-index: 1000;
             user-select: none;
             -webkit-user-select: none;
+            display: flex;
+            align-items: center;
+            gap: 8px;
         `;
 
         // Add responsive positioning for mobile
@@ -269,28 +562,96 @@ export class TimeToggleSystem {
         this.toggleBtn.addEventListener('click', () => this.toggle());
 
         this.sliderContainer.appendChild(this.toggleBtn);
+
+        // Timeline scrubber for more than two captures (compact button stays available)
+        if (this.times.length > 2 || this.config.uiMode === 'timeline') {
+            this.expandBtn = document.createElement('button');
+            this.expandBtn.textContent = '▸';
+            this.expandBtn.title = 'Show timeline';
+            this.expandBtn.style.cssText = `
+                background: rgba(0, 0, 0, 0.7);
+                color: white;
+                border: 2px solid rgba(255, 255, 255, 0.3);
+                border-radius: 50%;
+                width: 36px;
+                height: 36px;
+                cursor: pointer;
+                font-size: 14px;
+            `;
+            this.expandBtn.addEventListener('click', () => this.setUIMode('timeline'));
+            this.sliderContainer.appendChild(this.expandBtn);
+
+            this.timeline = new TimelineScrubber(this);
+            this.timeline.createUI(this.sliderContainer);
+        }
+
+        // Streaming progress and load errors (with retry) for the visible capture
+        this.loadProgress = new LoadProgressIndicator(this.app, this);
+
         document.body.appendChild(this.sliderContainer);
+        this.updateUI();
 
-        console.log('Time toggle button UI created');
+        console.log('Time toggle UI created (mode:', this.uiMode + ')');
     }
 
     /**
-     * Update button label to show current time
+     * Switch between the compact toggle button and the timeline scrubber
+     * @param {string} mode - 'compact' | 'timeline'
+     */
+    setUIMode(mode) {
+        if (mode === 'timeline' && !this.timeline) return;
+        this.uiMode = mode;
+        this.updateUI();
+    }
+
+    /**
+     * Sync all time toggle controls with the current state
+     */
+    updateUI() {
+        this.updateButtonLabel();
+
+        const showTimeline = this.uiMode === 'timeline' && this.timeline;
+        if (this.toggleBtn) {
+            this.toggleBtn.style.display = showTimeline || this.compareMode ? 'none' : 'flex';
+        }
+        if (this.expandBtn) {
+            this.expandBtn.style.display = showTimeline ? 'none' : 'block';
+        }
+        if (this.timeline) {
+            this.timeline.setVisible(showTimeline);
+            this.timeline.update();
+        }
+    }
+
+    /**
+     * Update button label to show current time and where the toggle goes next
      */
     updateButtonLabel() {
         if (!this.toggleBtn) return;
         const activeTime = this.times.find(t => t.id === this.activeTimeId);
-        const otherTime = this.times.find(t => t.id !== this.activeTimeId);
-        this.toggleBtn.innerHTML = `🕐 ${activeTime?.label || this.activeTimeId} <span style="opacity:0.6">→ ${otherTime?.label || ''}</span>`;
+        const nextTime = this.times.find(t => t.id === this.getToggleTarget());
+        // Labels can come from a scene manifest: build with text nodes, not innerHTML
+        const next = document.createElement('span');
+        next.style.opacity = '0.6';
+        next.textContent = `→ ${nextTime?.label || ''}`;
+        this.toggleBtn.replaceChildren(`🕐 ${activeTime?.label || this.activeTimeId} `, next);
+    }
+
+    /**
+     * Time the compact toggle switches to: the other comparison endpoint
+     * (or the left endpoint when the active time is not an endpoint)
+     */
+    getToggleTarget() {
+        return this.activeTimeId === this.leftEndpoint ? this.rightEndpoint : this.leftEndpoint;
     }
 
     /**
-     * Toggle between the two time states
+     * Toggle between the two comparison endpoints
      */
     toggle() {
-        const otherTimeId = this.times.find(t => t.id !== this.activeTimeId)?.id;
-        if (otherTimeId) {
-            this.switchToTime(otherTimeId);
+        const targetId = this.getToggleTarget();
+        if (targetId && targetId !== this.activeTimeId) {
+            this.switchToTime(targetId);
         }
     }
 
@@ -299,40 +660,143 @@ export class TimeToggleSystem {
      * @param {string} timeId - The time state to switch to
      */
     async switchToTime(timeId) {
-        if (timeId === this.activeTimeId) {
+        if (timeId === this.activeTimeId && !this.transitioning) {
+            return;
+        }
+
+        // Both endpoints are shown side by side while comparing
+        if (this.compareMode) {
+            console.log('Split view active, ignoring switch request');
             return;
         }
 
-        // Prevent rapid switching that causes PlayCanvas assertion errors
-        if (this.switchLock) {
-            console.log('Switch locked, ignoring rapid switch request');
+        if (this.transitioning) {
+            // Already fading to this time
+            if (timeId === this.transitionTo) return;
+
+            // Snap the running crossfade to its target and start the new switch from there
+            this.cancelTransition();
+        } else if (this.switchLock) {
+            // Prevent rapid switching that causes PlayCanvas assertion errors: keep only the
+            // latest request and run it once the current switch has finished
+            this.queuedTimeId = timeId;
+            return;
+        }
+
+        this.queuedTimeId = null;
+        if (timeId === this.activeTimeId) {
             return;
         }
 
         this.switchLock = true;
+        const switchId = ++this.switchCounter;
 
         console.log(`Switching from ${this.activeTimeId} to ${timeId}`);
+        const previousTime = this.activeTimeId;
+        this.fire('switch:start', timeId, previousTime);
 
         // Ensure target is loaded
         if (this.loadingStates[timeId] !== 'loaded') {
             if (this.toggleBtn) this.toggleBtn.textContent = '🕐 Loading...';
-            await this.loadTimeState(timeId, false);
+            this.pendingTimeId = timeId;
+            try {
+                await this.loadTimeState(timeId, false);
+            } catch (err) {
+                this._rollbackSwitch(previousTime, timeId, err);
+                return;
+            } finally {
+                if (this.pendingTimeId === timeId) this.pendingTimeId = null;
+            }
         }
 
-        const fromEntity = this.splatEntities[this.activeTimeId];
+        const fromEntity = this.splatEntities[previousTime];
         const toEntity = this.splatEntities[timeId];
 
         if (!fromEntity || !toEntity) {
-            console.error('Missing entities for transition');
-            this.switchLock = false;
+            this._rollbackSwitch(previousTime, timeId, new Error('Missing entities for transition'));
             return;
         }
 
-        // Enable new entity first, then disable old one to avoid black frame
+        if (this.transitionDuration > 0) {
+            await this._crossfade(previousTime, timeId);
+        } else {
+            await this._hardCut(fromEntity, toEntity);
+            this._finishSwitch(timeId);
+        }
+
+        console.log(`Switched to time state: ${timeId}`);
+        this.fire('switch:end', timeId, previousTime);
+
+        // Release lock after cooldown (unless a newer switch has taken it over)
+        setTimeout(() => {
+            if (this.switchCounter === switchId) {
+                this._releaseSwitchLock();
+            }
+        }, this.switchCooldown);
+    }
+
+    /**
+     * Unlock switching and run the request that arrived while locked, if any
+     */
+    _releaseSwitchLock() {
+        this.switchLock = false;
+
+        const queued = this.queuedTimeId;
+        this.queuedTimeId = null;
+        if (queued && queued !== this.activeTimeId) {
+            this.switchToTime(queued);
+        }
+    }
+
+    /**
+     * Undo a switch that could not complete: keep showing the previous time state,
+     * release the switch lock and tell the user
+     */
+    _rollbackSwitch(fromId, toId, err) {
+        console.error(`Switch to ${toId} failed, staying on ${fromId}:`, err);
+
+        const fromEntity = this.splatEntities[fromId];
+        if (fromEntity) {
+            this._clearFade(fromEntity);
+            fromEntity.enabled = true;
+        }
+        const toEntity = this.splatEntities[toId];
+        if (toEntity) toEntity.enabled = false;
+
+        this.activeTimeId = fromId;
+        this.updateUI();
+
+        const label = id => this.times.find(t => t.id === id)?.label || id;
+        this._notify(`Couldn't load ${label(toId)} - staying on ${label(fromId)}`);
+
+        // A request queued behind the failed one (e.g. scrubbing on) still runs
+        if (this.queuedTimeId === toId) this.queuedTimeId = null;
+        this._releaseSwitchLock();
+    }
+
+    /**
+     * Short on-screen message
+     */
+    _notify(message) {
+        const notice = document.createElement('div');
+        notice.textContent = message;
+        notice.style.cssText = `
+            position: fixed; top: 30%; left: 50%; transform: translate(-50%, -50%);
+            background: rgba(217, 74, 74, 0.9);
+            color: #fff; padding: 12px 20px; border-radius: 5px; font-weight: bold;
+            pointer-events: none; z-index: 2000; text-align: center;
+        `;
+        document.body.appendChild(notice);
+        setTimeout(() => notice.remove(), 3000);
+    }
+
+    /**
+     * Enable the new entity first, then disable the old one two frames later to avoid a black frame
+     */
+    _hardCut(fromEntity, toEntity) {
         toEntity.enabled = true;
 
-        // Wait two frames for the new entity to fully render, then disable old
-        await new Promise(resolve => {
+        return new Promise(resolve => {
             requestAnimationFrame(() => {
                 requestAnimationFrame(() => {
                     fromEntity.enabled = false;
@@ -340,22 +804,309 @@ export class TimeToggleSystem {
                 });
             });
         });
+    }
 
-        const previousTime = this.activeTimeId;
+    /**
+     * Dissolve between two time states over transitionDuration
+     * @returns {Promise<boolean>} - true if the fade completed, false if cancelled
+     */
+    _crossfade(fromId, toId) {
+        const fromEntity = this.splatEntities[fromId];
+        const toEntity = this.splatEntities[toId];
+
+        this.transitioning = true;
+        this.transitionProgress = 0;
+        this.transitionFrom = fromId;
+        this.transitionTo = toId;
+
+        this._setFade(fromEntity, 1);
+        this._setFade(toEntity, 0);
+        toEntity.enabled = true;
+
+        if (this.timeline) this.timeline.update();
+
+        return new Promise(resolve => {
+            const update = (dt) => {
+                this.transitionProgress = Math.min(1, this.transitionProgress + dt / this.transitionDuration);
+                const t = this.transitionEasing(this.transitionProgress);
+                this._setFade(toEntity, t);
+                this._setFade(fromEntity, 1 - t);
+                this.fire('transition:progress', t, fromId, toId);
+
+                if (this.transitionProgress >= 1) {
+                    finish(true);
+                }
+            };
+
+            const finish = (completed) => {
+                this.app.off('update', update);
+                this._clearFade(fromEntity);
+                this._clearFade(toEntity);
+                fromEntity.enabled = false;
+
+                this.transitioning = false;
+                this.transitionProgress = 1;
+                this.transitionFrom = null;
+                this.transitionTo = null;
+                this._cancelTransition = null;
+
+                this._finishSwitch(toId);
+                resolve(completed);
+            };
+
+            this._cancelTransition = () => finish(false);
+            this.app.on('update', update);
+        });
+    }
+
+    /**
+     * Cancel a running crossfade, snapping straight to its target time state
+     */
+    cancelTransition() {
+        if (this._cancelTransition) {
+            console.log(`Transition to ${this.transitionTo} cancelled`);
+            this._cancelTransition();
+        }
+    }
+
+    /**
+     * Get crossfade progress (0..1, 1 when no transition is running)
+     */
+    getTransitionProgress() {
+        return this.transitioning ? this.transitionProgress : 1;
+    }
+
+    /**
+     * Mark a time state as active once it is fully visible
+     */
+    _finishSwitch(timeId) {
         this.activeTimeId = timeId;
-        this.updateButtonLabel();
+        this._touch(timeId);
+        this.updateUI();
+        this.upgradeToFullLOD(timeId);
+        this.enforceMemoryBudget();
 
-        console.log(`Switched to time state: ${timeId}`);
+        if (this.preloadEnabled) {
+            this.preloadNeighbours();
+        }
+    }
 
-        // Fire callback if registered
-        if (this.onTimeChange) {
-            this.onTimeChange(timeId, previousTime);
+    /**
+     * Preload the times next to the active one (and the toggle target) at coarse LOD,
+     * one at a time, as long as the memory budget has room for them
+     */
+    async preloadNeighbours() {
+        if (this.preloading) return;
+        this.preloading = true;
+
+        const index = this.times.findIndex(t => t.id === this.activeTimeId);
+        const candidates = [this.getToggleTarget(), this.times[index + 1]?.id, this.times[index - 1]?.id];
+        const queue = [...new Set(candidates)].filter(id => id && id !== this.activeTimeId);
+
+        for (const timeId of queue) {
+            if (this.loadingStates[timeId]) continue; // loading, loaded or failed
+            if (!this._hasRoomForPreload(timeId)) break;
+
+            console.log(`Preloading ${timeId} at LOD ${this.preloadLOD}`);
+            try {
+                await this.loadTimeState(timeId, true);
+            } catch (err) {
+                // Not shown to the user; a real switch to this time tries again
+                console.warn(`Preload of ${timeId} failed:`, err);
+            }
         }
 
-        // Release lock after cooldown
-        setTimeout(() => {
-            this.switchLock = false;
-        }, this.switchCooldown);
+        this.preloading = false;
+    }
+
+    /**
+     * Preloads never evict captures that were actually viewed, so one only starts if it
+     * fits next to everything resident. Its size is known from an earlier load, or taken
+     * to be like the active capture's at the same coarse LOD.
+     */
+    _hasRoomForPreload(timeId) {
+        const { maxResidentTimes, maxMegabytes } = this.memoryBudget;
+        const resident = Object.keys(this.loadingStates)
+            .filter(id => this.loadingStates[id] === 'loaded' || this.loadingStates[id] === 'loading');
+
+        if (maxResidentTimes && resident.length >= maxResidentTimes) return false;
+        if (!maxMegabytes) return true;
+
+        const activeAsset = this.splatAssets[this.activeTimeId];
+        const estimate = this.preloadBytes[timeId] ??
+            (activeAsset ? this._estimateBytes(activeAsset, this._preloadLodLevel()) : 0);
+        const bytes = resident.reduce((sum, id) => sum + (this.estimatedBytes[id] || 0), 0);
+        return bytes + estimate <= maxMegabytes * 1024 * 1024;
+    }
+
+    /**
+     * Progressively lift a preloaded capture's coarse LOD cap, one level at a time
+     */
+    upgradeToFullLOD(timeId) {
+        if (!(timeId in this.preloadedTimes)) return;
+
+        const fullLodMin = this.preloadedTimes[timeId];
+        delete this.preloadedTimes[timeId];
+
+        const entity = this.splatEntities[timeId];
+        console.log(`Upgrading ${timeId} to full LOD`);
+        this.upgradingTimes[timeId] = true;
+        if (this.splatAssets[timeId]) {
+            this.estimatedBytes[timeId] = this._estimateBytes(this.splatAssets[timeId], this._fullLodLevel());
+        }
+
+        const step = () => {
+            // Stop if the capture was unloaded in the meantime
+            if (this.splatEntities[timeId] !== entity || !entity.gsplat) {
+                delete this.upgradingTimes[timeId];
+                return;
+            }
+
+            const gs = entity.gsplat;
+            if (gs.lodRangeMin > fullLodMin) gs.lodRangeMin -= 1;
+
+            if (gs.lodRangeMin > fullLodMin) {
+                setTimeout(step, LOD_UPGRADE_STEP_MS);
+            } else {
+                delete this.upgradingTimes[timeId];
+            }
+        };
+        step();
+    }
+
+    /**
+     * Record that a time state was just viewed (for least-recently-viewed eviction)
+     */
+    _touch(timeId) {
+        this.lastViewed[timeId] = performance.now();
+    }
+
+    /**
+     * Estimate a loaded capture's memory from the splat counts in lod-meta at one LOD level
+     */
+    _estimateBytes(asset, level) {
+        const nodes = asset.resource?.octree?.nodes;
+        if (!nodes) return 0;
+
+        let splats = 0;
+        nodes.forEach((node) => {
+            // Nodes with fewer levels render their coarsest one
+            splats += node.lods[Math.min(level, node.lods.length - 1)]?.count || 0;
+        });
+        return splats * this.memoryBudget.bytesPerSplat;
+    }
+
+    /**
+     * Most detailed LOD level the device's preset uses
+     */
+    _fullLodLevel() {
+        const lodPreset = this.fullConfig.lod[isMobileDevice() ? 'mobile' : 'desktop'];
+        return lodPreset?.range ? lodPreset.range[0] : 0;
+    }
+
+    /**
+     * Most detailed LOD level a preload fetches
+     */
+    _preloadLodLevel() {
+        return Math.max(this._fullLodLevel(), this.preloadLOD);
+    }
+
+    /**
+     * Times that must stay resident: the visible one(s) and anything mid-transition
+     */
+    _protectedTimes(keepId) {
+        const ids = new Set([this.activeTimeId, keepId, this.pendingTimeId]);
+        if (this.transitioning) {
+            ids.add(this.transitionFrom);
+            ids.add(this.transitionTo);
+        }
+        if (this.compareMode) {
+            ids.add(this.leftEndpoint);
+            ids.add(this.rightEndpoint);
+        }
+        return ids;
+    }
+
+    /**
+     * Unload least recently viewed time states until the memory budget is met
+     * @param {string} [keepId] - A time state that must stay loaded (e.g. one just loaded for a switch)
+     */
+    enforceMemoryBudget(keepId) {
+        const { maxResidentTimes, maxMegabytes } = this.memoryBudget;
+        if (!maxResidentTimes && !maxMegabytes) return;
+
+        const resident = this.times.map(t => t.id).filter(id => this.loadingStates[id] === 'loaded');
+        const protectedIds = this._protectedTimes(keepId);
+        const candidates = resident
+            .filter(id => !protectedIds.has(id))
+            .sort((a, b) => (this.lastViewed[a] || 0) - (this.lastViewed[b] || 0));
+
+        const maxBytes = maxMegabytes ? maxMegabytes * 1024 * 1024 : Infinity;
+        let count = resident.length;
+        let bytes = resident.reduce((sum, id) => sum + (this.estimatedBytes[id] || 0), 0);
+
+        while (candidates.length && (count > (maxResidentTimes || Infinity) || bytes > maxBytes)) {
+            const timeId = candidates.shift();
+            bytes -= this.estimatedBytes[timeId] || 0;
+            count--;
+            this.unloadTimeState(timeId);
+        }
+    }
+
+    /**
+     * Destroy a time state's entity and release its splat data. It is loaded again the
+     * next time it is shown.
+     */
+    unloadTimeState(timeId) {
+        if (this.loadingStates[timeId] !== 'loaded' || this._protectedTimes().has(timeId)) {
+            return false;
+        }
+
+        const entity = this.splatEntities[timeId];
+        if (entity) entity.destroy();
+
+        const asset = this.splatAssets[timeId];
+        if (asset) {
+            asset.unload();
+            this.app.assets.remove(asset);
+        }
+
+        delete this.splatEntities[timeId];
+        delete this.splatAssets[timeId];
+        delete this.loadingStates[timeId];
+        delete this.estimatedBytes[timeId];
+        delete this.preloadedTimes[timeId];
+        delete this.upgradingTimes[timeId];
+
+        if (this.timeline) this.timeline.update();
+        console.log(`Unloaded time state: ${timeId}`);
+        return true;
+    }
+
+    /**
+     * Apply fade opacity to a splat entity (installs the fade modifier on first use)
+     */
+    _setFade(entity, opacity) {
+        const gs = entity.gsplat;
+        if (!gs) return;
+
+        if (gs.getParameter('uTimeFade') === undefined) {
+            gs.setWorkBufferModifier(FADE_MODIFIER);
+            gs.workBufferUpdate = pc.WORKBUFFER_UPDATE_ALWAYS;
+        }
+        gs.setParameter('uTimeFade', opacity);
+    }
+
+    /**
+     * Remove the fade modifier so the work buffer stops re-rendering every frame
+     */
+    _clearFade(entity) {
+        const gs = entity.gsplat;
+        if (!gs || gs.getParameter('uTimeFade') === undefined) return;
+
+        gs.deleteParameter('uTimeFade');
+        gs.setWorkBufferModifier(null);
+        gs.workBufferUpdate = pc.WORKBUFFER_UPDATE_AUTO;
     }
 
     /**
@@ -372,6 +1123,26 @@ export class TimeToggleSystem {
         return this.activeTimeId;
     }
 
+    /**
+     * Set which two time states the split view compares
+     * @param {string} leftId - Time state shown left of the divider
+     * @param {string} rightId - Time state shown right of the divider
+     */
+    setEndpoints(leftId, rightId) {
+        if (!this.times.find(t => t.id === leftId) || !this.times.find(t => t.id === rightId)) {
+            console.error('Unknown endpoint time state:', leftId, rightId);
+            return false;
+        }
+
+        this.leftEndpoint = leftId;
+        this.rightEndpoint = rightId;
+        this.updateUI();
+        console.log(`Comparison endpoints: ${leftId} | ${rightId}`);
+
+        this.fire('endpoints:change', leftId, rightId);
+        return true;
+    }
+
     /**
      * Hide/show the UI
      */
@@ -382,23 +1153,28 @@ export class TimeToggleSystem {
     }
 
     /**
-     * Keyboard shortcut: cycle through times with [ and ] keys
+     * Step to the previous (-1) or next (+1) time, stopping at the ends
+     * (bound to [ and ] by default)
      */
-    handleKeyboard(keyCode) {
+    stepTime(delta) {
         const currentIndex = this.times.findIndex(t => t.id === this.activeTimeId);
+        const newIndex = Math.max(0, Math.min(this.times.length - 1, currentIndex + delta));
+        if (newIndex !== currentIndex) {
+            this.switchToTime(this.times[newIndex].id);
+        }
+    }
 
-        if (keyCode === 'BracketLeft') {
-            // Previous time
-            const newIndex = Math.max(0, currentIndex - 1);
-            if (newIndex !== currentIndex) {
-                this.switchToTime(this.times[newIndex].id);
-            }
-        } else if (keyCode === 'BracketRight') {
-            // Next time
-            const newIndex = Math.min(this.times.length - 1, currentIndex + 1);
-            if (newIndex !== currentIndex) {
-                this.switchToTime(this.times[newIndex].id);
-            }
+    /**
+     * Cycle through times with [ and ] (kept for existing callers; the viewer itself
+     * goes through the input map and stepTime, so rebinding doesn't affect this)
+     * @param {string|KeyboardEvent} key - A key code ('BracketLeft') or a keyboard event
+     */
+    handleKeyboard(key) {
+        const code = typeof key === 'string' ? key : key?.code;
+        if (code === 'BracketLeft') {
+            this.stepTime(-1);
+        } else if (code === 'BracketRight') {
+            this.stepTime(1);
         }
     }
 }
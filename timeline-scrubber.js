@@ -0,0 +1,338 @@
+/**
+ * Timeline Scrubber UI for Time Toggle Scenes
+ *
+ * One tick per capture along a horizontal track. Click a tick to jump to that time,
+ * drag along the track to scrub through captures, and drag the A/B handles below the
+ * track to pick which two times are the comparison endpoints.
+ */
+
+export class TimelineScrubber {
+    constructor(timeToggleSystem) {
+        this.timeToggle = timeToggleSystem;
+        this.times = timeToggleSystem.times;
+
+        // UI elements
+        this.element = null;
+        this.track = null;
+        this.rangeBar = null;
+        this.ticks = [];        // [{ dot, label }] in times order
+        this.handles = {};      // { left: HTMLElement, right: HTMLElement }
+
+        // Drag state
+        this.scrubPointerId = null;
+        this.scrubIndex = -1;
+        this.dragHandle = null; // 'left' | 'right' while dragging an endpoint handle
+    }
+
+    /**
+     * Build the timeline DOM inside the given container
+     * @param {HTMLElement} container - The time toggle container
+     */
+    createUI(container) {
+        const styles = document.createElement('style');
+        styles.textContent = `
+            #time-timeline .timeline-tick-label {
+                position: absolute;
+                bottom: 22px;
+                transform: translateX(-50%);
+                white-space: nowrap;
+                font-size: 12px;
+                font-weight: bold;
+                cursor: pointer;
+                opacity: 0.7;
+                transition: opacity 0.2s ease;
+            }
+            #time-timeline .timeline-tick-label.active {
+                opacity: 1;
+                color: rgb(120, 180, 240);
+            }
+            #time-timeline .timeline-tick-date {
+                display: block;
+                font-size: 10px;
+                font-weight: normal;
+                opacity: 0.7;
+                text-align: center;
+            }
+            #time-timeline .timeline-tick-dot {
+                position: absolute;
+                top: 50%;
+                width: 12px;
+                height: 12px;
+                margin: -6px 0 0 -6px;
+                border-radius: 50%;
+                background: rgba(255, 255, 255, 0.6);
+                border: 2px solid rgba(0, 0, 0, 0.5);
+                transition: all 0.2s ease;
+            }
+            #time-timeline .timeline-tick-dot.active {
+                background: rgb(74, 144, 217);
+                transform: scale(1.4);
+            }
+            #time-timeline .timeline-tick-dot.loading {
+                animation: timelinePulse 0.8s ease-in-out infinite alternate;
+            }
+            #time-timeline .timeline-tick-dot.error {
+                background: rgb(217, 74, 74);
+            }
+            #time-timeline .timeline-handle {
+                position: absolute;
+                top: 32px;
+                transform: translateX(-50%);
+                width: 20px;
+                height: 16px;
+                border-radius: 3px;
+                background: rgba(255, 255, 255, 0.85);
+                color: #000;
+                font-size: 10px;
+                font-weight: bold;
+                line-height: 16px;
+                text-align: center;
+                cursor: ew-resize;
+                touch-action: none;
+            }
+            @keyframes timelinePulse {
+                from { opacity: 0.3; }
+                to { opacity: 1; }
+            }
+        `;
+        document.head.appendChild(styles);
+
+        this.element = document.createElement('div');
+        this.element.id = 'time-timeline';
+        this.element.style.cssText = `
+            background: rgba(0, 0, 0, 0.7);
+            backdrop-filter: blur(10px);
+            color: white;
+            border: 2px solid rgba(255, 255, 255, 0.3);
+            border-radius: 12px;
+            padding: 34px 28px 26px;
+            width: min(80vw, ${Math.max(240, this.times.length * 110)}px);
+            display: flex;
+            align-items: center;
+            gap: 12px;
+        `;
+
+        // Track: clicking/dragging anywhere scrubs to the nearest capture
+        this.track = document.createElement('div');
+        this.track.style.cssText = `
+            position: relative;
+            flex: 1;
+            height: 24px;
+            cursor: pointer;
+            touch-action: none;
+        `;
+
+        const line = document.createElement('div');
+        line.style.cssText = `
+            position: absolute;
+            top: 50%;
+            left: 0;
+            right: 0;
+            height: 2px;
+            margin-top: -1px;
+            background: rgba(255, 255, 255, 0.3);
+            pointer-events: none;
+        `;
+        this.track.appendChild(line);
+
+        // Highlight between the comparison endpoints
+        this.rangeBar = document.createElement('div');
+        this.rangeBar.style.cssText = `
+            position: absolute;
+            top: 50%;
+            height: 4px;
+            margin-top: -2px;
+            background: rgba(74, 144, 217, 0.6);
+            pointer-events: none;
+        `;
+        this.track.appendChild(this.rangeBar);
+
+        this.times.forEach((time, index) => {
+            const left = `${this._indexToPercent(index)}%`;
+
+            const dot = document.createElement('div');
+            dot.className = 'timeline-tick-dot';
+            dot.style.left = left;
+
+            const label = document.createElement('div');
+            label.className = 'timeline-tick-label';
+            label.style.left = left;
+            label.textContent = time.label || time.id;
+            if (time.date) {
+                const date = document.createElement('span');
+                date.className = 'timeline-tick-date';
+                date.textContent = time.date;
+                label.appendChild(date);
+            }
+            label.title = `Jump to ${time.label || time.id}`;
+
+            this.track.appendChild(dot);
+            this.track.appendChild(label);
+            this.ticks.push({ dot, label });
+        });
+
+        // Endpoint handles (A = left of split view, B = right)
+        ['left', 'right'].forEach((side) => {
+            const handle = document.createElement('div');
+            handle.className = 'timeline-handle';
+            handle.textContent = side === 'left' ? 'A' : 'B';
+            handle.title = side === 'left' ? 'Comparison start (drag)' : 'Comparison end (drag)';
+            this.track.appendChild(handle);
+            this.handles[side] = handle;
+
+            handle.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.dragHandle = side;
+                handle.setPointerCapture(e.pointerId);
+            });
+
+            handle.addEventListener('pointermove', (e) => {
+                if (this.dragHandle !== side) return;
+                this._moveEndpoint(side, this._clientXToIndex(e.clientX));
+            });
+
+            const endDrag = (e) => {
+                if (this.dragHandle !== side) return;
+                this.dragHandle = null;
+                if (handle.hasPointerCapture(e.pointerId)) {
+                    handle.releasePointerCapture(e.pointerId);
+                }
+            };
+            handle.addEventListener('pointerup', endDrag);
+            handle.addEventListener('pointercancel', endDrag);
+        });
+
+        this.track.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.scrubPointerId = e.pointerId;
+            this.track.setPointerCapture(e.pointerId);
+            this.scrubIndex = -1;
+            this._scrubTo(e.clientX);
+        });
+
+        this.track.addEventListener('pointermove', (e) => {
+            if (e.pointerId !== this.scrubPointerId) return;
+            this._scrubTo(e.clientX);
+        });
+
+        const endScrub = (e) => {
+            if (e.pointerId !== this.scrubPointerId) return;
+            this.scrubPointerId = null;
+            if (this.track.hasPointerCapture(e.pointerId)) {
+                this.track.releasePointerCapture(e.pointerId);
+            }
+            // No final switch needed: a request made while a switch was locked is queued by
+            // TimeToggleSystem, so the last capture scrubbed over is where the viewer lands
+        };
+        this.track.addEventListener('pointerup', endScrub);
+        this.track.addEventListener('pointercancel', endScrub);
+
+        // Collapse to the single toggle button
+        const collapseBtn = document.createElement('button');
+        collapseBtn.textContent = '▾';
+        collapseBtn.title = 'Compact mode';
+        collapseBtn.style.cssText = `
+            background: rgba(255, 255, 255, 0.1);
+            border: none;
+            border-radius: 4px;
+            color: white;
+            width: 22px;
+            height: 22px;
+            cursor: pointer;
+            font-size: 14px;
+            flex-shrink: 0;
+        `;
+        collapseBtn.addEventListener('click', () => this.timeToggle.setUIMode('compact'));
+
+        this.element.appendChild(this.track);
+        this.element.appendChild(collapseBtn);
+        container.appendChild(this.element);
+
+        this.update();
+    }
+
+    /**
+     * Sync ticks, range bar and endpoint handles with the time toggle state
+     */
+    update() {
+        if (!this.element) return;
+
+        const tt = this.timeToggle;
+        const currentId = tt.transitionTo || tt.activeTimeId;
+
+        this.times.forEach((time, index) => {
+            const { dot, label } = this.ticks[index];
+            const isActive = time.id === currentId;
+            dot.classList.toggle('active', isActive);
+            label.classList.toggle('active', isActive);
+            dot.classList.toggle('loading', tt.loadingStates[time.id] === 'loading');
+            dot.classList.toggle('error', tt.loadingStates[time.id] === 'error');
+        });
+
+        const leftIndex = this.times.findIndex(t => t.id === tt.leftEndpoint);
+        const rightIndex = this.times.findIndex(t => t.id === tt.rightEndpoint);
+        const leftPct = this._indexToPercent(leftIndex);
+        const rightPct = this._indexToPercent(rightIndex);
+
+        this.handles.left.style.left = `${leftPct}%`;
+        this.handles.right.style.left = `${rightPct}%`;
+        this.rangeBar.style.left = `${Math.min(leftPct, rightPct)}%`;
+        this.rangeBar.style.width = `${Math.abs(rightPct - leftPct)}%`;
+    }
+
+    /**
+     * Show or hide the timeline
+     */
+    setVisible(visible) {
+        if (this.element) {
+            this.element.style.display = visible ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Switch to the capture nearest the pointer (only when the index changes)
+     */
+    _scrubTo(clientX) {
+        const index = this._clientXToIndex(clientX);
+        if (index === this.scrubIndex) return;
+
+        this.scrubIndex = index;
+        this.timeToggle.switchToTime(this.times[index].id);
+    }
+
+    /**
+     * Move one comparison endpoint, keeping the two endpoints distinct
+     */
+    _moveEndpoint(side, index) {
+        const tt = this.timeToggle;
+        const timeId = this.times[index].id;
+        const otherId = side === 'left' ? tt.rightEndpoint : tt.leftEndpoint;
+        const currentId = side === 'left' ? tt.leftEndpoint : tt.rightEndpoint;
+
+        if (timeId === otherId || timeId === currentId) return;
+
+        if (side === 'left') {
+            tt.setEndpoints(timeId, tt.rightEndpoint);
+        } else {
+            tt.setEndpoints(tt.leftEndpoint, timeId);
+        }
+    }
+
+    /**
+     * Horizontal position of a tick as a percentage of the track width
+     */
+    _indexToPercent(index) {
+        if (this.times.length < 2) return 50;
+        return (index / (this.times.length - 1)) * 100;
+    }
+
+    /**
+     * Nearest tick index for a screen X coordinate
+     */
+    _clientXToIndex(clientX) {
+        const rect = this.track.getBoundingClientRect();
+        const t = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+        return Math.round(t * (this.times.length - 1));
+    }
+}
@@ -0,0 +1,560 @@
+/**
+ * Camera Tour System
+ *
+ * Records camera keyframes (position, pitch/yaw, active time, optional caption) while the
+ * presenter moves through the scene, saves them as JSON, and plays them back along a
+ * Catmull-Rom spline. Keyframe timestamps keep the presenter's pacing; playback speed
+ * scales it. A keyframe with a different time switches captures when it is reached.
+ *
+ * Any movement key or click during playback pauses the tour and hands control back to
+ * the user at the current pose.
+ *
+ * Tour JSON:
+ *   { "version": 1, "keyframes": [
+ *       { "t": 0, "position": [x, y, z], "pitch": -5, "yaw": 180, "time": "primary", "caption": "..." }
+ *   ] }
+ */
+
+import * as pc from 'playcanvas';
+
+const MOVEMENT_ACTIONS = ['move.forward', 'move.back', 'move.left', 'move.right', 'move.up', 'move.down'];
+const SPEEDS = [0.25, 0.5, 1, 1.5, 2, 4];
+const MIN_SEGMENT = 0.05; // seconds, keyframes recorded closer than this still interpolate
+const APPEND_GAP = 2;     // seconds between a tour's last keyframe and one added after loading/stopping
+const FINAL_CAPTION_HOLD = 3000; // ms the last keyframe's caption stays up after the tour ends
+
+/**
+ * Uniform Catmull-Rom interpolation between p1 and p2
+ */
+function catmullRom(p0, p1, p2, p3, u) {
+    const u2 = u * u;
+    const u3 = u2 * u;
+    return 0.5 * (
+        2 * p1 +
+        (-p0 + p2) * u +
+        (2 * p0 - 5 * p1 + 4 * p2 - p3) * u2 +
+        (-p0 + 3 * p1 - 3 * p2 + p3) * u3
+    );
+}
+
+export class TourSystem {
+    /**
+     * @param {Object} pose - { getPose(): { position, pitch, yaw }, setPose(position, pitch, yaw) }
+     *   so the tour drives the same pitch/yaw state as mouse look
+     */
+    constructor(app, camera, timeToggleSystem, config, pose) {
+        this.app = app;
+        this.camera = camera;
+        this.timeToggle = timeToggleSystem;
+        this.config = config.tour || {};
+        this.pose = pose;
+
+        this.keyframes = [];
+        this.recording = false;
+        this.recordStart = 0;
+
+        this.playing = false;
+        this.playhead = 0; // seconds into the tour (tour time, before speed)
+        this.speed = this.config.speed || 1;
+        this.segmentIndex = -1;
+
+        // UI
+        this.panel = null;
+        this.statusEl = null;
+        this.captionInput = null;
+        this.recordBtn = null;
+        this.playBtn = null;
+        this.helpEl = null;
+        this.captionEl = null;
+
+        this._createUI();
+
+        this.app.on('update', dt => this.update(dt));
+
+        // User input takes over from the tour (movement keys: see bindInput)
+        this.app.graphicsDevice.canvas.addEventListener('mousedown', () => {
+            if (this.playing) this.pause();
+        });
+
+        // Time switches made while recording become keyframes of their own
+        if (this.timeToggle) {
+            this.timeToggle.on('switch:end', () => {
+                if (this.recording) this.addKeyframe();
+            });
+        }
+    }
+
+    /**
+     * Register the tour shortcuts; any movement key pauses playback
+     * @param {InputMap} inputMap
+     */
+    bindInput(inputMap) {
+        inputMap.on('tour.panel', () => this.togglePanel());
+        inputMap.on('tour.keyframe', () => this.addKeyframe());
+        inputMap.on('tour.play', () => this.togglePlayback());
+
+        // Show the keys actually bound
+        const keys = action => inputMap.keysFor(action)[0] || '—';
+        this.helpEl.textContent = [
+            `${keys('tour.keyframe')} - Add keyframe · ${keys('tour.play')} - Play/Pause`,
+            'Move or click to take over'
+        ].join('\n');
+
+        MOVEMENT_ACTIONS.forEach((action) => {
+            inputMap.on(action, () => {
+                if (this.playing) this.pause();
+            });
+        });
+    }
+
+    /**
+     * Create the tour panel (hidden until toggled) and the caption overlay
+     */
+    _createUI() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'tour-panel';
+        this.panel.style.cssText = `
+            position: fixed;
+            top: 80px;
+            right: 10px;
+            color: white;
+            font-size: 12px;
+            background: rgba(0, 0, 0, 0.8);
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            backdrop-filter: blur(10px);
+            padding: 12px 15px;
+            border-radius: 8px;
+            z-index: 1001;
+            width: 250px;
+            display: none;
+            user-select: none;
+        `;
+
+        const title = document.createElement('strong');
+        title.textContent = '🎬 Tour';
+
+        this.statusEl = document.createElement('div');
+        this.statusEl.style.cssText = 'margin: 8px 0; font-family: monospace;';
+
+        this.captionInput = document.createElement('input');
+        this.captionInput.type = 'text';
+        this.captionInput.placeholder = 'Caption for next keyframe (optional)';
+        this.captionInput.style.cssText = `
+            width: 100%;
+            box-sizing: border-box;
+            margin-bottom: 8px;
+            background: rgba(0, 0, 0, 0.5);
+            color: white;
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            font-size: 11px;
+            padding: 3px 5px;
+        `;
+        // Typing a caption must not move the camera or trigger shortcuts
+        this.captionInput.addEventListener('keydown', e => e.stopPropagation());
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; flex-wrap: wrap; gap: 6px;';
+        const addButton = (label, action) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.style.cssText = `
+                background: rgba(255, 255, 255, 0.15);
+                border: 1px solid rgba(255, 255, 255, 0.3);
+                border-radius: 4px;
+                color: white;
+                font-size: 11px;
+                padding: 3px 10px;
+                cursor: pointer;
+            `;
+            btn.addEventListener('click', action);
+            buttons.appendChild(btn);
+            return btn;
+        };
+
+        this.recordBtn = addButton('● Record', () => this.toggleRecording());
+        addButton('+ Keyframe', () => this.addKeyframe());
+        this.playBtn = addButton('▶ Play', () => this.togglePlayback());
+        addButton('■ Stop', () => this.stop());
+        addButton('Save', () => this.saveTour());
+        addButton('Load', () => fileInput.click());
+        addButton('Clear', () => this.clear());
+
+        const speedLabel = document.createElement('label');
+        speedLabel.style.cssText = 'display: block; margin-top: 8px;';
+        const speedSelect = document.createElement('select');
+        speedSelect.style.cssText = 'background: rgba(0, 0, 0, 0.5); color: white; border: 1px solid rgba(255, 255, 255, 0.3); font-size: 11px;';
+        SPEEDS.concat(SPEEDS.includes(this.speed) ? [] : [this.speed]).sort((a, b) => a - b).forEach((speed) => {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}×`;
+            option.selected = speed === this.speed;
+            speedSelect.appendChild(option);
+        });
+        speedSelect.addEventListener('change', () => {
+            this.speed = Number(speedSelect.value);
+        });
+        speedLabel.append('Speed ', speedSelect);
+
+        const help = document.createElement('div');
+        this.helpEl = help;
+        help.style.cssText = 'opacity: 0.7; line-height: 1.5; margin-top: 8px; white-space: pre-line;';
+        help.textContent = 'Move or click to take over';
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                this.setTour(JSON.parse(await file.text()));
+            } catch (err) {
+                console.error('Could not read tour file:', err);
+            }
+        });
+
+        this.panel.append(title, this.statusEl, this.captionInput, buttons, speedLabel, help, fileInput);
+        document.body.appendChild(this.panel);
+
+        // Caption overlay shown during playback
+        this.captionEl = document.createElement('div');
+        this.captionEl.id = 'tour-caption';
+        this.captionEl.style.cssText = `
+            position: fixed;
+            bottom: 90px;
+            left: 50%;
+            transform: translateX(-50%);
+            max-width: 70%;
+            background: rgba(0, 0, 0, 0.7);
+            color: white;
+            font-size: 18px;
+            padding: 10px 20px;
+            border-radius: 6px;
+            text-align: center;
+            pointer-events: none;
+            z-index: 999;
+            display: none;
+        `;
+        document.body.appendChild(this.captionEl);
+
+        this._updatePanel();
+    }
+
+    /**
+     * Show or hide the tour panel
+     */
+    togglePanel() {
+        const visible = this.panel.style.display === 'none';
+        this.panel.style.display = visible ? 'block' : 'none';
+        return visible;
+    }
+
+    /**
+     * Start recording a new tour, or stop recording
+     */
+    toggleRecording() {
+        if (this.recording) {
+            this.recording = false;
+            console.log(`Tour recording stopped (${this.keyframes.length} keyframes)`);
+        } else {
+            this.stop();
+            this.keyframes = [];
+            this.recording = true;
+            this.recordStart = performance.now();
+            this.addKeyframe();
+            console.log('Tour recording started');
+        }
+        this._updatePanel();
+    }
+
+    /**
+     * Capture the current camera pose as a keyframe. Outside recording this continues the
+     * current tour (only Record starts a new one), or starts recording if there is none.
+     */
+    addKeyframe() {
+        if (!this.recording) {
+            if (this.keyframes.length === 0) {
+                this.toggleRecording();
+                return;
+            }
+
+            this.stop();
+            this.recording = true;
+            this.recordStart = performance.now() - (this.getDuration() + APPEND_GAP) * 1000;
+            console.log('Tour recording continued');
+        }
+
+        const { position, pitch, yaw } = this.pose.getPose();
+        const keyframe = {
+            t: Number(((performance.now() - this.recordStart) / 1000).toFixed(3)),
+            position: [position.x, position.y, position.z].map(v => Number(v.toFixed(4))),
+            pitch: Number(pitch.toFixed(3)),
+            yaw: Number(yaw.toFixed(3))
+        };
+        if (this.timeToggle) keyframe.time = this.timeToggle.getActiveTimeId();
+
+        const caption = this.captionInput.value.trim();
+        if (caption) {
+            keyframe.caption = caption;
+            this.captionInput.value = '';
+        }
+
+        this.keyframes.push(keyframe);
+        console.log(`Tour keyframe ${this.keyframes.length} at ${keyframe.t}s`);
+        this._updatePanel();
+    }
+
+    /**
+     * Replace the tour with keyframes from JSON data
+     */
+    setTour(data) {
+        const keyframes = Array.isArray(data) ? data : data && data.keyframes;
+        if (!Array.isArray(keyframes) || keyframes.some(kf => !Array.isArray(kf.position) || kf.position.length !== 3)) {
+            console.error('Invalid tour: expected { keyframes: [{ t, position: [x, y, z], pitch, yaw }] }');
+            return false;
+        }
+
+        this.stop();
+        this.recording = false;
+        this.keyframes = keyframes
+            .map(kf => ({ ...kf, t: Number(kf.t) || 0, pitch: Number(kf.pitch) || 0, yaw: Number(kf.yaw) || 0 }))
+            .sort((a, b) => a.t - b.t);
+
+        console.log(`Tour loaded: ${this.keyframes.length} keyframes, ${this.getDuration().toFixed(1)}s`);
+        this._updatePanel();
+        return true;
+    }
+
+    /**
+     * Fetch a tour JSON file
+     */
+    async loadTour(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return this.setTour(await response.json());
+        } catch (err) {
+            console.warn(`Could not load tour ${url}:`, err);
+            return false;
+        }
+    }
+
+    /**
+     * Download the tour as tour.json and copy it to the clipboard
+     */
+    async saveTour() {
+        if (this.keyframes.length === 0) {
+            console.warn('Tour has no keyframes to save');
+            return;
+        }
+
+        const json = JSON.stringify({ version: 1, keyframes: this.keyframes }, null, 2);
+
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'tour.json';
+        link.click();
+        URL.revokeObjectURL(url);
+
+        try {
+            await navigator.clipboard.writeText(json);
+            console.log('Tour copied to clipboard');
+        } catch (err) {
+            console.warn('Could not copy tour to clipboard:', err);
+        }
+
+        console.log(`Saved tour with ${this.keyframes.length} keyframes to tour.json`);
+    }
+
+    /**
+     * Remove all keyframes
+     */
+    clear() {
+        this.stop();
+        this.recording = false;
+        this.keyframes = [];
+        this._updatePanel();
+    }
+
+    getDuration() {
+        return this.keyframes.length ? this.keyframes[this.keyframes.length - 1].t : 0;
+    }
+
+    isPlaying() {
+        return this.playing;
+    }
+
+    /**
+     * Play from the current playhead (from the start if stopped)
+     */
+    play() {
+        if (this.keyframes.length < 2) {
+            console.warn('Tour needs at least two keyframes to play');
+            return;
+        }
+        if (this.recording) this.toggleRecording();
+
+        if (this.playhead >= this.getDuration()) this.playhead = 0;
+        if (this.playhead === 0) this.segmentIndex = -1;
+
+        this.playing = true;
+        this._yaws = this._unwrapYaws();
+        this._updatePanel();
+        console.log('Tour playing');
+    }
+
+    /**
+     * Pause at the current pose; the user has control from here
+     */
+    pause() {
+        if (!this.playing) return;
+        this.playing = false;
+        this._updatePanel();
+        console.log(`Tour paused at ${this.playhead.toFixed(1)}s`);
+    }
+
+    togglePlayback() {
+        if (this.playing) this.pause();
+        else this.play();
+    }
+
+    /**
+     * Stop and rewind to the start
+     */
+    stop() {
+        this.playing = false;
+        this.playhead = 0;
+        this.segmentIndex = -1;
+        this.captionEl.style.display = 'none';
+        this._updatePanel();
+    }
+
+    /**
+     * Advance playback
+     */
+    update(dt) {
+        if (this.recording) {
+            this._updatePanel();
+            return;
+        }
+        if (!this.playing) return;
+
+        const duration = this.getDuration();
+        this.playhead = Math.min(duration, this.playhead + dt * this.speed);
+
+        this._applyPose(this.playhead);
+
+        if (this.playhead >= duration) {
+            this.playing = false;
+            this.playhead = duration;
+            console.log('Tour finished');
+
+            // Give a caption on the last keyframe time to be read, then clear the screen
+            const hold = this.keyframes[this.keyframes.length - 1].caption ? FINAL_CAPTION_HOLD : 0;
+            setTimeout(() => {
+                if (!this.playing) this.captionEl.style.display = 'none';
+            }, hold);
+        }
+        this._updatePanel();
+    }
+
+    /**
+     * Place the camera at a tour time and fire keyframe events (time switches, captions)
+     */
+    _applyPose(time) {
+        const kfs = this.keyframes;
+
+        let i = 0;
+        while (i < kfs.length - 2 && kfs[i + 1].t <= time) i++;
+
+        if (i !== this.segmentIndex) {
+            // Fire every keyframe passed since the last frame (a long frame may skip one)
+            for (let k = this.segmentIndex + 1; k <= i; k++) this._reachKeyframe(k);
+            this.segmentIndex = i;
+        }
+        if (time >= kfs[kfs.length - 1].t && this.segmentIndex < kfs.length - 1) {
+            this._reachKeyframe(kfs.length - 1);
+            this.segmentIndex = kfs.length - 1;
+        }
+
+        const k0 = kfs[Math.max(0, i - 1)];
+        const k1 = kfs[i];
+        const k2 = kfs[i + 1];
+        const k3 = kfs[Math.min(kfs.length - 1, i + 2)];
+        const u = pc.math.clamp((time - k1.t) / Math.max(MIN_SEGMENT, k2.t - k1.t), 0, 1);
+
+        const position = new pc.Vec3(
+            catmullRom(k0.position[0], k1.position[0], k2.position[0], k3.position[0], u),
+            catmullRom(k0.position[1], k1.position[1], k2.position[1], k3.position[1], u),
+            catmullRom(k0.position[2], k1.position[2], k2.position[2], k3.position[2], u)
+        );
+
+        const yaws = this._yaws;
+        const i0 = Math.max(0, i - 1);
+        const i3 = Math.min(kfs.length - 1, i + 2);
+        const yaw = catmullRom(yaws[i0], yaws[i], yaws[i + 1], yaws[i3], u);
+        const pitch = pc.math.clamp(catmullRom(k0.pitch, k1.pitch, k2.pitch, k3.pitch, u), -85, 85);
+
+        this.pose.setPose(position, pitch, yaw);
+    }
+
+    /**
+     * Keyframe reached during playback: switch time and show its caption
+     */
+    _reachKeyframe(index) {
+        const keyframe = this.keyframes[index];
+
+        // Always request the switch: the active time may still be the old one while an earlier
+        // switch is in flight, and requests made while switching is locked are queued, not lost
+        if (keyframe.time && this.timeToggle) {
+            this.timeToggle.switchToTime(keyframe.time);
+        }
+
+        if (keyframe.caption) {
+            this.captionEl.textContent = keyframe.caption;
+            this.captionEl.style.display = 'block';
+        } else if (index === 0) {
+            this.captionEl.style.display = 'none';
+        }
+    }
+
+    /**
+     * Yaw per keyframe, unwrapped so each step turns the short way round
+     */
+    _unwrapYaws() {
+        const yaws = [];
+        this.keyframes.forEach((kf, i) => {
+            if (i === 0) {
+                yaws.push(kf.yaw);
+                return;
+            }
+            let delta = (kf.yaw - this.keyframes[i - 1].yaw) % 360;
+            if (delta > 180) delta -= 360;
+            if (delta < -180) delta += 360;
+            yaws.push(yaws[i - 1] + delta);
+        });
+        return yaws;
+    }
+
+    _updatePanel() {
+        if (!this.statusEl) return;
+
+        const count = this.keyframes.length;
+        if (this.recording) {
+            const elapsed = (performance.now() - this.recordStart) / 1000;
+            this.statusEl.textContent = `● REC ${elapsed.toFixed(1)}s · ${count} keyframes`;
+        } else if (count === 0) {
+            this.statusEl.textContent = 'No tour - press Record';
+        } else {
+            const state = this.playing ? '▶' : this.playhead > 0 ? '❚❚' : '■';
+            this.statusEl.textContent = `${state} ${this.playhead.toFixed(1)} / ${this.getDuration().toFixed(1)}s · ${count} keyframes`;
+        }
+
+        this.recordBtn.textContent = this.recording ? '■ Stop rec' : '● Record';
+        this.playBtn.textContent = this.playing ? '❚❚ Pause' : '▶ Play';
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * Alignment Transform Helpers
+ *
+ * SplatAlign outputs a column-major 4x4 matrix that aligns a capture in its native Z-up
+ * space. Splats are rendered Y-up (rotated -90° about X), so the alignment is applied
+ * first and the Z-up to Y-up rotation second.
+ */
+
+import * as pc from 'playcanvas';
+
+/**
+ * Check for a usable SplatAlign matrix (16 numbers, column-major)
+ */
+export function isValidTransform(data) {
+    return Array.isArray(data) && data.length === 16;
+}
+
+/**
+ * Z-up to Y-up rotation applied to every splat
+ */
+export function zUpToYUpMatrix() {
+    const mat = new pc.Mat4();
+    mat.setFromEulerAngles(-90, 0, 0);
+    return mat;
+}
+
+/**
+ * World matrix for a splat entity: rotation * alignment (apply alignment first, then rotate)
+ * @param {number[]} transformData - Column-major alignment matrix from SplatAlign
+ */
+export function buildSplatMatrix(transformData) {
+    const alignmentMat = new pc.Mat4();
+    alignmentMat.set(transformData);
+
+    const combinedMat = zUpToYUpMatrix();
+    combinedMat.mul(alignmentMat);
+    return combinedMat;
+}
+
+/**
+ * World matrix for a collision mesh decimated from the same capture.
+ * GLB meshes are already Y-up, so the Z-up alignment is wrapped by the axis change:
+ * rotation * alignment * inverse(rotation)
+ * @param {number[]} transformData - Column-major alignment matrix from SplatAlign
+ */
+export function buildColliderMatrix(transformData) {
+    const yToZMat = zUpToYUpMatrix().invert();
+
+    const combinedMat = buildSplatMatrix(transformData);
+    combinedMat.mul(yToZMat);
+    return combinedMat;
+}
+
+/**
+ * Decompose a matrix into the entity's local position, rotation and scale
+ */
+export function applyMatrixToEntity(entity, mat) {
+    const pos = new pc.Vec3();
+    const scale = new pc.Vec3();
+    mat.getTranslation(pos);
+    mat.getScale(scale);
+
+    // Extract rotation by removing scale from the basis vectors
+    const rotMat = new pc.Mat4();
+    rotMat.copy(mat);
+    const sx = 1 / scale.x, sy = 1 / scale.y, sz = 1 / scale.z;
+    rotMat.data[0] *= sx; rotMat.data[1] *= sx; rotMat.data[2] *= sx;
+    rotMat.data[4] *= sy; rotMat.data[5] *= sy; rotMat.data[6] *= sy;
+    rotMat.data[8] *= sz; rotMat.data[9] *= sz; rotMat.data[10] *= sz;
+
+    const rot = new pc.Quat();
+    rot.setFromMat4(rotMat);
+
+    entity.setLocalPosition(pos);
+    entity.setLocalRotation(rot);
+    entity.setLocalScale(scale);
+
+    return { pos, rot, scale };
+}
@@ -0,0 +1,139 @@
+/**
+ * View State Deep Links
+ *
+ * Serializes the current view (camera position, pitch/yaw, active time, comparison
+ * endpoints, fly/walk mode) into the URL hash so a view can be shared as a link:
+ *
+ *   #pos=1.20,1.60,-3.40&rot=-5.0,180.0&time=secondary&cmp=primary,secondary&mode=fly
+ *
+ * The hash is only rewritten once the view has been idle for a moment, not every frame.
+ */
+
+/**
+ * Parse view state from the URL hash
+ * @returns {Object|null} - Partial state {position, pitch, yaw, time, endpoints, flyMode} or null
+ */
+export function readViewState(hash = window.location.hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = {};
+
+    const pos = parseNumbers(params.get('pos'), 3);
+    if (pos) {
+        state.position = { x: pos[0], y: pos[1], z: pos[2] };
+    }
+
+    const rot = parseNumbers(params.get('rot'), 2);
+    if (rot) {
+        state.pitch = rot[0];
+        state.yaw = rot[1];
+    }
+
+    if (params.get('time')) {
+        state.time = params.get('time');
+    }
+
+    const cmp = params.get('cmp');
+    if (cmp && cmp.split(',').length === 2) {
+        const endpoints = cmp.split(',');
+        // Comparing a capture with itself is never a real view: ignore it like an unknown id
+        if (endpoints[0] === endpoints[1]) {
+            console.warn('Identical comparison endpoints in URL, ignoring:', cmp);
+        } else {
+            state.endpoints = endpoints;
+        }
+    }
+
+    if (params.get('mode') === 'fly' || params.get('mode') === 'walk') {
+        state.flyMode = params.get('mode') === 'fly';
+    }
+
+    return Object.keys(state).length > 0 ? state : null;
+}
+
+/**
+ * Build the URL hash for a view state
+ */
+export function serializeViewState(state) {
+    const parts = [];
+
+    if (state.position) {
+        const { x, y, z } = state.position;
+        parts.push(`pos=${x.toFixed(2)},${y.toFixed(2)},${z.toFixed(2)}`);
+    }
+    if (state.pitch !== undefined && state.yaw !== undefined) {
+        parts.push(`rot=${state.pitch.toFixed(1)},${normalizeAngle(state.yaw).toFixed(1)}`);
+    }
+    if (state.time) {
+        parts.push(`time=${encodeURIComponent(state.time)}`);
+    }
+    if (state.endpoints) {
+        parts.push(`cmp=${state.endpoints.map(encodeURIComponent).join(',')}`);
+    }
+    if (state.flyMode !== undefined) {
+        parts.push(`mode=${state.flyMode ? 'fly' : 'walk'}`);
+    }
+
+    return '#' + parts.join('&');
+}
+
+/**
+ * Keeps the URL hash in sync with the view, writing only after the view stops changing
+ */
+export class ViewStateUrl {
+    /**
+     * @param {Function} getState - Returns the current view state
+     * @param {number} idleDelay - ms the view must be unchanged before the hash is written
+     */
+    constructor(getState, idleDelay = 500) {
+        this.getState = getState;
+        this.idleDelay = idleDelay;
+
+        this.pendingHash = null;
+        this.lastChange = 0;
+        this.writtenHash = window.location.hash;
+    }
+
+    /**
+     * Call once per frame; cheap when nothing changed
+     */
+    update() {
+        const hash = serializeViewState(this.getState());
+        const now = performance.now();
+
+        if (hash !== this.pendingHash) {
+            this.pendingHash = hash;
+            this.lastChange = now;
+            return;
+        }
+
+        if (hash !== this.writtenHash && now - this.lastChange >= this.idleDelay) {
+            // replaceState: don't flood browser history, and doesn't fire hashchange
+            history.replaceState(null, '', hash);
+            this.writtenHash = hash;
+        }
+    }
+
+    /**
+     * Call when a hash was applied from outside (e.g. pasted link) so it isn't rewritten
+     */
+    markApplied(hash = window.location.hash) {
+        this.writtenHash = hash;
+    }
+}
+
+/**
+ * Parse a comma-separated list of exactly `count` finite numbers
+ */
+function parseNumbers(value, count) {
+    if (!value) return null;
+    const numbers = value.split(',').map(Number);
+    if (numbers.length !== count || !numbers.every(Number.isFinite)) return null;
+    return numbers;
+}
+
+/**
+ * Wrap an angle to [-180, 180) so links stay short after many turns
+ */
+function normalizeAngle(degrees) {
+    return ((degrees + 180) % 360 + 360) % 360 - 180;
+}
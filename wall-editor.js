@@ -0,0 +1,539 @@
+/**
+ * Wall Editor for PlayCanvas
+ * In-viewer editor for the virtual wall boundaries in wall-system.js
+ *
+ * Modes:
+ * - move:   drag a node (segment endpoint) across the ground plane
+ * - add:    click (or Space at camera) to place nodes, each new node extends the wall chain
+ * - split:  click a segment to split it in two at that point
+ * - delete: click a segment to remove it
+ *
+ * New walls go to the shared set, or to the active time's set when "Add to" is switched
+ * (walls that only exist in one capture). Only shared + active time walls are shown.
+ *
+ * Export writes wall_config.json in the format loadWalls() in main.js reads.
+ */
+
+import * as pc from 'playcanvas';
+import {
+    WALL_SETS,
+    SHARED_WALL_SET,
+    addWallSegment,
+    removeWallSegment,
+    getActiveWallSet,
+    getActiveWallSegments,
+    findWallSetKey
+} from './wall-system.js';
+import { config } from './config.js';
+
+const MODE_LABELS = {
+    move: 'Move (G)',
+    add: 'Add (N)',
+    split: 'Split (T)',
+    delete: 'Delete (X)'
+};
+
+// Colors for editor overlays
+const COLOR_HOVER = new pc.Color(1, 1, 0);
+const COLOR_NODE = new pc.Color(1, 1, 1);
+const COLOR_PENDING = new pc.Color(0, 0.8, 1);
+
+export class WallEditor {
+    constructor(app, camera) {
+        this.app = app;
+        this.camera = camera;
+        this.active = false;
+        this.mode = 'move';
+
+        // Ground plane used for node picking and wall rendering
+        this.groundY = config.wallGroundY ?? 0;
+        this.wallHeight = config.wallHeight ?? 2;
+        this.pickRadius = 0.5; // meters
+
+        // Editing state
+        this.hoverSegment = null;   // segment under the cursor
+        this.dragNodes = null;      // [{ point }] endpoints being moved (shared nodes move together)
+        this.chainEnd = null;       // last placed node in add mode {x, z}
+        this.cursorPoint = null;    // ground point under the cursor {x, z}
+        this.addToTimeSet = false;  // add new walls to the active time's set instead of shared
+
+        // UI
+        this.panel = null;
+        this.modeLabel = null;
+        this.targetBtn = null;
+        this.wallList = null;
+
+        // Reusable vectors (ground picking runs on every mouse move)
+        this._rayStart = new pc.Vec3();
+        this._rayEnd = new pc.Vec3();
+
+        this._createUI();
+
+        this.app.on('update', () => {
+            if (this.active) this._render();
+        });
+
+        window.addEventListener('mousemove', (e) => this._onMouseMove(e));
+        window.addEventListener('mouseup', () => this._onMouseUp());
+    }
+
+    /**
+     * Create the editor side panel (hidden until the editor is toggled on)
+     */
+    _createUI() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'wall-editor-panel';
+        this.panel.style.cssText = `
+            position: fixed;
+            top: 80px;
+            left: 10px;
+            color: white;
+            font-size: 12px;
+            background: rgba(0, 0, 0, 0.8);
+            backdrop-filter: blur(10px);
+            padding: 12px 15px;
+            border-radius: 8px;
+            z-index: 1001;
+            min-width: 200px;
+            max-height: 60vh;
+            overflow-y: auto;
+            display: none;
+            user-select: none;
+        `;
+
+        const title = document.createElement('strong');
+        title.textContent = '🧱 Wall Editor';
+
+        this.modeLabel = document.createElement('div');
+        this.modeLabel.style.cssText = 'margin: 8px 0; color: #0f0;';
+
+        const help = document.createElement('div');
+        help.style.cssText = 'opacity: 0.7; line-height: 1.5; margin-bottom: 8px;';
+        help.innerHTML = `
+            G Move · N Add · T Split · X Delete<br>
+            Space - Node at camera (Add)<br>
+            Esc - End wall chain<br>
+            P - Save wall_config.json<br>
+            Right-drag - Look around
+        `;
+
+        // Which wall set new walls are added to
+        this.targetBtn = document.createElement('button');
+        this.targetBtn.style.cssText = `
+            background: rgba(255, 255, 255, 0.15);
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            border-radius: 4px;
+            color: white;
+            font-size: 11px;
+            padding: 3px 8px;
+            margin-bottom: 8px;
+            cursor: pointer;
+        `;
+        this.targetBtn.addEventListener('click', () => {
+            this.addToTimeSet = !this.addToTimeSet;
+            this.cancelAction();
+            this.updateWallList();
+        });
+
+        this.wallList = document.createElement('div');
+        this.wallList.style.cssText = 'border-top: 1px solid rgba(255, 255, 255, 0.2); padding-top: 8px;';
+
+        this.panel.appendChild(title);
+        this.panel.appendChild(this.modeLabel);
+        this.panel.appendChild(help);
+        this.panel.appendChild(this.targetBtn);
+        this.panel.appendChild(this.wallList);
+        document.body.appendChild(this.panel);
+    }
+
+    /**
+     * Toggle editor on/off (F key)
+     */
+    toggleEditor() {
+        this.active = !this.active;
+        this.panel.style.display = this.active ? 'block' : 'none';
+        this.cancelAction();
+
+        if (this.active) {
+            this.setMode(this.mode);
+            this.updateWallList();
+        }
+
+        console.log('Wall editor:', this.active ? 'ON' : 'OFF');
+    }
+
+    /**
+     * Set the editing mode
+     * @param {string} mode - 'move' | 'add' | 'split' | 'delete'
+     */
+    setMode(mode) {
+        if (!MODE_LABELS[mode]) {
+            console.warn('Unknown wall editor mode:', mode);
+            return;
+        }
+
+        this.mode = mode;
+        this.cancelAction();
+        this.modeLabel.textContent = `Mode: ${MODE_LABELS[mode]}`;
+    }
+
+    /**
+     * Abort an in-progress drag or wall chain
+     */
+    cancelAction() {
+        this.dragNodes = null;
+        this.chainEnd = null;
+    }
+
+    /**
+     * Handle left click on the canvas while the editor is active
+     */
+    handleClick(e) {
+        const point = this._pickGround(e.clientX, e.clientY);
+        if (!point) return;
+
+        switch (this.mode) {
+            case 'move': {
+                const nodes = this._findNodesAt(point);
+                if (nodes.length > 0) {
+                    this.dragNodes = nodes;
+                }
+                break;
+            }
+            case 'add':
+                this._placeNode(point);
+                break;
+            case 'split': {
+                const segment = this._findSegmentAt(point);
+                if (segment) this._splitSegment(segment, point);
+                break;
+            }
+            case 'delete': {
+                const segment = this._findSegmentAt(point);
+                if (segment) {
+                    removeWallSegment(segment.name, findWallSetKey(segment));
+                    console.log('Deleted wall:', segment.name);
+                    this.updateWallList();
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Place a node at the camera's ground position (Space key in add mode)
+     */
+    placeNodeAtCamera() {
+        const pos = this.camera.getPosition();
+        this._placeNode({ x: pos.x, z: pos.z });
+    }
+
+    /**
+     * Add a node to the current chain; every node after the first creates a segment
+     */
+    _placeNode(point) {
+        if (this.chainEnd) {
+            const name = this._nextWallName();
+            const setKey = this._targetSetKey();
+            addWallSegment(this.chainEnd, point, name, config.wallColor, setKey);
+            console.log(`Added wall ${name} (${setKey})`);
+            this.updateWallList();
+        }
+        this.chainEnd = { x: point.x, z: point.z };
+    }
+
+    /**
+     * Replace a segment with two segments meeting at the point nearest the click
+     */
+    _splitSegment(segment, point) {
+        const splitPoint = this._closestPointOnSegment(segment, point);
+        const { start, end, color } = segment;
+        const setKey = findWallSetKey(segment);
+
+        removeWallSegment(segment.name, setKey);
+        addWallSegment(start, splitPoint, this._nextWallName(), color, setKey);
+        addWallSegment(splitPoint, end, this._nextWallName(), color, setKey);
+
+        console.log(`Split wall ${segment.name}`);
+        this.updateWallList();
+    }
+
+    /**
+     * Export walls as wall_config.json (download + clipboard)
+     */
+    async saveWalls() {
+        const serialize = segments => segments.map(seg => ({
+            name: seg.name,
+            start: { x: seg.start.x, z: seg.start.z },
+            end: { x: seg.end.x, z: seg.end.z },
+            color: seg.color
+        }));
+
+        // Shared walls under "segments", per-time walls under "times"
+        const data = { segments: serialize(WALL_SETS[SHARED_WALL_SET]) };
+        const timeKeys = Object.keys(WALL_SETS).filter(key => key !== SHARED_WALL_SET && WALL_SETS[key].length > 0);
+        if (timeKeys.length > 0) {
+            data.times = {};
+            timeKeys.forEach((key) => {
+                data.times[key] = serialize(WALL_SETS[key]);
+            });
+        }
+        const json = JSON.stringify(data, null, 2);
+
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'wall_config.json';
+        link.click();
+        URL.revokeObjectURL(url);
+
+        try {
+            await navigator.clipboard.writeText(json);
+            console.log('Wall config copied to clipboard');
+        } catch (err) {
+            console.warn('Could not copy wall config to clipboard:', err);
+        }
+
+        const total = Object.values(WALL_SETS).reduce((sum, set) => sum + set.length, 0);
+        console.log(`Saved ${total} walls to wall_config.json`);
+    }
+
+    /**
+     * Refresh the wall list in the editor panel
+     */
+    updateWallList() {
+        if (!this.wallList) return;
+
+        if (this.targetBtn) {
+            this.targetBtn.textContent = `Add to: ${this._targetSetKey()}`;
+        }
+
+        this.wallList.innerHTML = '';
+
+        const visibleKeys = [SHARED_WALL_SET];
+        const activeSet = getActiveWallSet();
+        if (activeSet && activeSet !== SHARED_WALL_SET) visibleKeys.push(activeSet);
+
+        visibleKeys.forEach((key) => {
+            const segments = WALL_SETS[key] || [];
+
+            const header = document.createElement('div');
+            header.style.cssText = 'margin: 4px 0; font-weight: bold;';
+            header.textContent = `${key === SHARED_WALL_SET ? 'Shared walls' : `Walls: ${key}`} (${segments.length})`;
+            this.wallList.appendChild(header);
+
+            segments.forEach((segment) => {
+                const row = document.createElement('div');
+                row.style.cssText = 'font-family: monospace; font-size: 11px; opacity: 0.8;';
+                row.textContent = `${segment.name}: (${segment.start.x.toFixed(1)}, ${segment.start.z.toFixed(1)}) → (${segment.end.x.toFixed(1)}, ${segment.end.z.toFixed(1)})`;
+                this.wallList.appendChild(row);
+            });
+        });
+    }
+
+    /**
+     * Set new walls are added to
+     */
+    _targetSetKey() {
+        const activeSet = getActiveWallSet();
+        return this.addToTimeSet && activeSet ? activeSet : SHARED_WALL_SET;
+    }
+
+    /**
+     * Track cursor on the ground, drag nodes in move mode
+     */
+    _onMouseMove(e) {
+        if (!this.active) return;
+
+        this.cursorPoint = this._pickGround(e.clientX, e.clientY);
+        if (!this.cursorPoint) return;
+
+        if (this.dragNodes) {
+            this.dragNodes.forEach((node) => {
+                node.x = this.cursorPoint.x;
+                node.z = this.cursorPoint.z;
+            });
+        } else if (this.mode !== 'add') {
+            this.hoverSegment = this._findSegmentAt(this.cursorPoint);
+        }
+    }
+
+    /**
+     * Finish a node drag
+     */
+    _onMouseUp() {
+        if (this.dragNodes) {
+            this.dragNodes = null;
+            this.updateWallList();
+        }
+    }
+
+    /**
+     * Intersect a screen-space ray with the ground plane
+     * @returns {Object|null} - {x, z} or null if the ray points away from the ground
+     */
+    _pickGround(screenX, screenY) {
+        const cam = this.camera.camera;
+        const rect = this.app.graphicsDevice.canvas.getBoundingClientRect();
+        const x = screenX - rect.left;
+        const y = screenY - rect.top;
+
+        cam.screenToWorld(x, y, cam.nearClip, this._rayStart);
+        cam.screenToWorld(x, y, cam.farClip, this._rayEnd);
+
+        const dirY = this._rayEnd.y - this._rayStart.y;
+        if (Math.abs(dirY) < 1e-6) return null;
+
+        const t = (this.groundY - this._rayStart.y) / dirY;
+        if (t < 0 || t > 1) return null;
+
+        return {
+            x: this._rayStart.x + (this._rayEnd.x - this._rayStart.x) * t,
+            z: this._rayStart.z + (this._rayEnd.z - this._rayStart.z) * t
+        };
+    }
+
+    /**
+     * Find all segment endpoints at a point (shared nodes of connected walls)
+     */
+    _findNodesAt(point) {
+        let nearest = null;
+        let nearestDist = this.pickRadius;
+
+        const segments = getActiveWallSegments();
+        segments.forEach((segment) => {
+            [segment.start, segment.end].forEach((node) => {
+                const dist = Math.hypot(node.x - point.x, node.z - point.z);
+                if (dist < nearestDist) {
+                    nearest = node;
+                    nearestDist = dist;
+                }
+            });
+        });
+
+        if (!nearest) return [];
+
+        // Include every endpoint that coincides with the picked one
+        const nodes = [];
+        segments.forEach((segment) => {
+            [segment.start, segment.end].forEach((node) => {
+                if (Math.hypot(node.x - nearest.x, node.z - nearest.z) < 0.01) {
+                    nodes.push(node);
+                }
+            });
+        });
+        return nodes;
+    }
+
+    /**
+     * Find the segment closest to a point (within pick radius)
+     */
+    _findSegmentAt(point) {
+        let nearest = null;
+        let nearestDist = this.pickRadius;
+
+        getActiveWallSegments().forEach((segment) => {
+            const closest = this._closestPointOnSegment(segment, point);
+            const dist = Math.hypot(closest.x - point.x, closest.z - point.z);
+            if (dist < nearestDist) {
+                nearest = segment;
+                nearestDist = dist;
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Closest point to {x, z} on a wall segment
+     */
+    _closestPointOnSegment(segment, point) {
+        const dx = segment.end.x - segment.start.x;
+        const dz = segment.end.z - segment.start.z;
+        const lengthSq = dx * dx + dz * dz;
+
+        let t = 0;
+        if (lengthSq > 0) {
+            t = ((point.x - segment.start.x) * dx + (point.z - segment.start.z) * dz) / lengthSq;
+            t = Math.min(1, Math.max(0, t));
+        }
+
+        return {
+            x: segment.start.x + dx * t,
+            z: segment.start.z + dz * t
+        };
+    }
+
+    /**
+     * Generate a wall name not already in use
+     */
+    _nextWallName() {
+        const allSegments = Object.values(WALL_SETS).flat();
+        let index = allSegments.length;
+        while (allSegments.some(s => s.name === `wall_${index}`)) {
+            index++;
+        }
+        return `wall_${index}`;
+    }
+
+    /**
+     * Draw walls, nodes and the pending chain segment with immediate-mode lines
+     */
+    _render() {
+        const bottom = this.groundY;
+        const top = this.groundY + this.wallHeight;
+
+        getActiveWallSegments().forEach((segment) => {
+            const color = segment === this.hoverSegment
+                ? COLOR_HOVER
+                : this._hexToColor(segment.color);
+
+            const a = new pc.Vec3(segment.start.x, bottom, segment.start.z);
+            const b = new pc.Vec3(segment.end.x, bottom, segment.end.z);
+            const aTop = new pc.Vec3(segment.start.x, top, segment.start.z);
+            const bTop = new pc.Vec3(segment.end.x, top, segment.end.z);
+
+            this.app.drawLines([a, b, aTop, bTop, a, aTop, b, bTop], color, false);
+            this._drawNode(segment.start);
+            this._drawNode(segment.end);
+        });
+
+        // Preview of the next segment in add mode
+        if (this.mode === 'add' && this.chainEnd) {
+            this._drawNode(this.chainEnd);
+            if (this.cursorPoint) {
+                this.app.drawLine(
+                    new pc.Vec3(this.chainEnd.x, bottom, this.chainEnd.z),
+                    new pc.Vec3(this.cursorPoint.x, bottom, this.cursorPoint.z),
+                    COLOR_PENDING,
+                    false
+                );
+            }
+        }
+    }
+
+    /**
+     * Draw a small cross marking a node on the ground
+     */
+    _drawNode(node) {
+        const s = 0.15;
+        const y = this.groundY;
+        this.app.drawLines([
+            new pc.Vec3(node.x - s, y, node.z), new pc.Vec3(node.x + s, y, node.z),
+            new pc.Vec3(node.x, y, node.z - s), new pc.Vec3(node.x, y, node.z + s)
+        ], COLOR_NODE, false);
+    }
+
+    /**
+     * Convert a 0xRRGGBB wall color to pc.Color
+     */
+    _hexToColor(hex) {
+        const value = hex ?? 0x00ff00;
+        return new pc.Color(
+            ((value >> 16) & 0xff) / 255,
+            ((value >> 8) & 0xff) / 255,
+            (value & 0xff) / 255
+        );
+    }
+}
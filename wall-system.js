@@ -2,6 +2,9 @@
  * Wall Boundary System for PlayCanvas
  * Ported from Three.js splatter version
  * Uses 2D line-segment intersection for fast collision detection
+ *
+ * Walls are grouped in sets: a shared set that always applies, plus optional sets
+ * keyed by time id that only apply while that capture is active.
  */
 
 // Wall segments define invisible boundaries
@@ -45,6 +48,56 @@ export const WALL_SEGMENTS = [
     }
 ];
 
+// Key of the set that applies to every time state
+export const SHARED_WALL_SET = 'shared';
+
+// Wall sets by key: { shared: WALL_SEGMENTS, [timeId]: [...] }
+export const WALL_SETS = {
+    [SHARED_WALL_SET]: WALL_SEGMENTS
+};
+
+// Time id whose wall set is currently active (null = shared walls only)
+let activeWallSet = null;
+
+/**
+ * Get a wall set by key, creating it if needed
+ */
+export function getWallSet(key = SHARED_WALL_SET) {
+    if (!WALL_SETS[key]) {
+        WALL_SETS[key] = [];
+    }
+    return WALL_SETS[key];
+}
+
+/**
+ * Make a time state's walls active (in addition to the shared set)
+ */
+export function setActiveWallSet(timeId) {
+    activeWallSet = timeId;
+}
+
+/**
+ * Get the time id of the active wall set
+ */
+export function getActiveWallSet() {
+    return activeWallSet;
+}
+
+/**
+ * Wall segments that currently block movement: shared set + active time set
+ */
+export function getActiveWallSegments() {
+    const timeWalls = activeWallSet && activeWallSet !== SHARED_WALL_SET ? WALL_SETS[activeWallSet] : null;
+    return timeWalls ? WALL_SEGMENTS.concat(timeWalls) : WALL_SEGMENTS;
+}
+
+/**
+ * Find the key of the set that holds a segment
+ */
+export function findWallSetKey(segment) {
+    return Object.keys(WALL_SETS).find(key => WALL_SETS[key].includes(segment)) || null;
+}
+
 /**
  * Check if movement crosses any wall segment
  * @param {Object} oldPos - Previous position {x, y, z}
@@ -52,7 +105,7 @@ export const WALL_SEGMENTS = [
  * @returns {boolean} - true if collision detected
  */
 export function checkWallCollision(oldPos, newPos) {
-    for (const segment of WALL_SEGMENTS) {
+    for (const segment of getActiveWallSegments()) {
         if (lineSegmentsIntersect(
             oldPos.x, oldPos.z,
             newPos.x, newPos.z,
@@ -90,7 +143,7 @@ function lineSegmentsIntersect(x1, y1, x2, y2, x3, y3, x4, y4) {
  * @returns {Object|null} - Wall segment info or null
  */
 export function getWallCollisionInfo(oldPos, newPos) {
-    for (const segment of WALL_SEGMENTS) {
+    for (const segment of getActiveWallSegments()) {
         if (lineSegmentsIntersect(
             oldPos.x, oldPos.z,
             newPos.x, newPos.z,
@@ -99,6 +152,7 @@ export function getWallCollisionInfo(oldPos, newPos) {
         )) {
             return {
                 wall: segment.name,
+                set: findWallSetKey(segment),
                 start: segment.start,
                 end: segment.end
             };
@@ -109,10 +163,12 @@ export function getWallCollisionInfo(oldPos, newPos) {
 
 /**
  * Add a new wall segment
+ * @param {string} setKey - Time id, or SHARED_WALL_SET for walls that always apply
  */
-export function addWallSegment(start, end, name, color = 0x00ff00) {
-    WALL_SEGMENTS.push({
-        name: name || `wall_${WALL_SEGMENTS.length}`,
+export function addWallSegment(start, end, name, color = 0x00ff00, setKey = SHARED_WALL_SET) {
+    const segments = getWallSet(setKey);
+    segments.push({
+        name: name || `wall_${segments.length}`,
         start: { x: start.x, z: start.z },
         end: { x: end.x, z: end.z },
         color: color
@@ -122,10 +178,11 @@ export function addWallSegment(start, end, name, color = 0x00ff00) {
 /**
  * Remove a wall segment by name
  */
-export function removeWallSegment(name) {
-    const index = WALL_SEGMENTS.findIndex(s => s.name === name);
+export function removeWallSegment(name, setKey = SHARED_WALL_SET) {
+    const segments = getWallSet(setKey);
+    const index = segments.findIndex(s => s.name === name);
     if (index > -1) {
-        WALL_SEGMENTS.splice(index, 1);
+        segments.splice(index, 1);
         return true;
     }
     return false;
@@ -134,13 +191,19 @@ export function removeWallSegment(name) {
 /**
  * Get wall segment by name
  */
-export function getWallSegment(name) {
-    return WALL_SEGMENTS.find(s => s.name === name);
+export function getWallSegment(name, setKey = SHARED_WALL_SET) {
+    return getWallSet(setKey).find(s => s.name === name);
 }
 
 /**
- * Clear all wall segments
+ * Clear all wall segments (every set)
  */
 export function clearAllWalls() {
-    WALL_SEGMENTS.length = 0;
+    Object.keys(WALL_SETS).forEach((key) => {
+        if (key === SHARED_WALL_SET) {
+            WALL_SEGMENTS.length = 0;
+        } else {
+            delete WALL_SETS[key];
+        }
+    });
 }